@@ -3,27 +3,50 @@
 // ========================================
 
 const DB_NAME = 'notepad_tools_db';
-const DB_VERSION = 1;
+const DB_VERSION = 9;
 let db = null;
+let appStarted = false;
 let state = {
     notes: [],
     tools: [],
+    folders: [],
+    templates: [],
+    tags: [],
+    conflicts: [],
+    favicons: new Map(),
     currentNote: null,
+    editorTabs: [],
+    splitNoteId: null,
     editingTool: null,
     activeTab: 'notes',
-    activeTagFilter: null,
+    tagFilters: [],
+    toolNoteFilter: null,
+    activeFolderId: null,
+    calendarMonth: toDateKey(new Date()).slice(0, 7),
+    collapsedFolders: new Set(),
+    selectingNotes: false,
+    selectedNoteIds: new Set(),
     settings: {
         theme: 'light',
-        autosaveInterval: 3000
+        autosaveInterval: 3000,
+        editorMode: 'edit',
+        trashRetentionDays: '30',
+        journalTemplateId: '',
+        linkCheckInterval: 'off'
     },
-    autosaveTimer: null,
-    isDirty: false
+    autosaveTimer: null
 };
 
+// Each account gets its own database so nothing leaks between people who
+// share a browser. Before that, everything lived under the bare DB_NAME.
+function getDatabaseName() {
+    return `${DB_NAME}_${window.authModule.getUserId()}`;
+}
+
 // Initialize IndexedDB
 function initDB() {
     return new Promise((resolve, reject) => {
-        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        const request = indexedDB.open(getDatabaseName(), DB_VERSION);
         
         request.onerror = () => reject(request.error);
         request.onsuccess = () => {
@@ -45,23 +68,102 @@ function initDB() {
                 toolsStore.createIndex('name', 'name', { unique: false });
                 toolsStore.createIndex('updatedAt', 'updatedAt', { unique: false });
             }
+            
+            if (!database.objectStoreNames.contains('tombstones')) {
+                const tombstonesStore = database.createObjectStore('tombstones', { keyPath: 'id' });
+                tombstonesStore.createIndex('storeName', 'storeName', { unique: false });
+            }
+            
+            if (!database.objectStoreNames.contains('conflicts')) {
+                const conflictsStore = database.createObjectStore('conflicts', { keyPath: 'id' });
+                conflictsStore.createIndex('storeName', 'storeName', { unique: false });
+            }
+            
+            if (!database.objectStoreNames.contains('note_versions')) {
+                const versionsStore = database.createObjectStore('note_versions', { keyPath: 'id' });
+                versionsStore.createIndex('noteId', 'noteId', { unique: false });
+            }
+            
+            if (!database.objectStoreNames.contains('search_index')) {
+                const searchStore = database.createObjectStore('search_index', { keyPath: 'id' });
+                searchStore.createIndex('storeName', 'storeName', { unique: false });
+            }
+            
+            if (!database.objectStoreNames.contains('folders')) {
+                const foldersStore = database.createObjectStore('folders', { keyPath: 'id' });
+                foldersStore.createIndex('parentId', 'parentId', { unique: false });
+            }
+            
+            if (!database.objectStoreNames.contains('templates')) {
+                database.createObjectStore('templates', { keyPath: 'id' });
+            }
+            
+            // Keyed by host; a local cache that is never synced
+            if (!database.objectStoreNames.contains('favicons')) {
+                database.createObjectStore('favicons', { keyPath: 'id' });
+            }
+            
+            // Keyed by the tag itself, so every device colors the same record
+            if (!database.objectStoreNames.contains('tags')) {
+                database.createObjectStore('tags', { keyPath: 'id' });
+            }
+            
+            // Version 3 replaced the updatedAt sync marker with revision counters
+            if (event.oldVersion > 0 && event.oldVersion < 3) {
+                const transaction = event.target.transaction;
+                ['notes', 'tools'].forEach(storeName => {
+                    transaction.objectStore(storeName).openCursor().onsuccess = (e) => {
+                        const cursor = e.target.result;
+                        if (!cursor) return;
+                        
+                        const record = cursor.value;
+                        record.rev = record.rev || 1;
+                        if (record.syncedUpdatedAt === record.updatedAt) {
+                            record.syncedRev = record.rev;
+                        }
+                        delete record.syncedUpdatedAt;
+                        cursor.update(record);
+                        cursor.continue();
+                    };
+                });
+            }
         };
     });
 }
 
+const SETTINGS_KEY = 'notepad_settings';
+
+// Settings hold per-account data such as the journal template id, so
+// they are stored per user. Settings saved before that
+// went to the first account to log in, like the legacy database.
+function claimLegacySettings() {
+    const legacy = localStorage.getItem(SETTINGS_KEY);
+    const key = window.authModule.userStorageKey(SETTINGS_KEY);
+    if (legacy === null) return;
+    
+    if (localStorage.getItem(key) === null) {
+        localStorage.setItem(key, legacy);
+    }
+    localStorage.removeItem(SETTINGS_KEY);
+}
+
 // Load settings from localStorage
 function loadSettings() {
-    const savedSettings = localStorage.getItem('notepad_settings');
+    claimLegacySettings();
+    const savedSettings = localStorage.getItem(window.authModule.userStorageKey(SETTINGS_KEY));
     if (savedSettings) {
-        state.settings = JSON.parse(savedSettings);
+        // Keep defaults for settings added after the user last saved
+        state.settings = { ...state.settings, ...JSON.parse(savedSettings) };
         applyTheme(state.settings.theme);
         document.getElementById('autosave-interval').value = state.settings.autosaveInterval;
+        document.getElementById('trash-retention').value = state.settings.trashRetentionDays;
+        document.getElementById('link-check-interval').value = state.settings.linkCheckInterval;
     }
 }
 
 // Save settings to localStorage
 function saveSettings() {
-    localStorage.setItem('notepad_settings', JSON.stringify(state.settings));
+    localStorage.setItem(window.authModule.userStorageKey(SETTINGS_KEY), JSON.stringify(state.settings));
 }
 
 // Apply theme
@@ -91,6 +193,30 @@ function getAllFromStore(storeName) {
     });
 }
 
+// Generic function to get a single item from a store
+function getFromStore(storeName, id) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(id);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Generic function to get all items matching an index value
+function getAllFromIndex(storeName, indexName, value) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readonly');
+        const index = transaction.objectStore(storeName).index(indexName);
+        const request = index.getAll(value);
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
 // Generic function to add/update item in store
 function putInStore(storeName, item) {
     return new Promise((resolve, reject) => {
@@ -98,7 +224,10 @@ function putInStore(storeName, item) {
         const store = transaction.objectStore(storeName);
         const request = store.put(item);
         
-        request.onsuccess = () => resolve(request.result);
+        request.onsuccess = () => {
+            notifyOtherWindows(storeName, [item.id]);
+            resolve(request.result);
+        };
         request.onerror = () => reject(request.error);
     });
 }
@@ -110,9 +239,198 @@ function deleteFromStore(storeName, id) {
         const store = transaction.objectStore(storeName);
         const request = store.delete(id);
         
+        request.onsuccess = () => {
+            notifyOtherWindows(storeName, [id]);
+            resolve();
+        };
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Read-modify-write a single item inside one transaction so a concurrent
+// save cannot slip in between the read and the write
+function updateInStore(storeName, id, mutate) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(id);
+        
+        request.onsuccess = () => {
+            const item = request.result;
+            if (item && mutate(item) !== false) {
+                store.put(item);
+                notifyOtherWindows(storeName, [id]);
+            }
+        };
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => resolve(request.result);
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Put for a record edited from a copy at baseRev. When the stored copy has
+// moved on since (another window saved it), the write still goes ahead so
+// nothing typed is lost, and the newer stored copy is resolved for the
+// caller to park as a conflict. Resolves to null otherwise.
+function putAndDetectStale(storeName, item, baseRev) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction([storeName], 'readwrite');
+        const store = transaction.objectStore(storeName);
+        const request = store.get(item.id);
+        let stale = null;
+        
+        request.onsuccess = () => {
+            const stored = request.result;
+            if (stored && (stored.rev || 0) !== baseRev) {
+                stale = stored;
+                item.rev = Math.max(item.rev, (stored.rev || 0) + 1);
+            }
+            // Another window's sync may have confirmed a newer server revision
+            if (stored) {
+                item.syncedRev = stored.syncedRev;
+            }
+            store.put(item);
+        };
+        request.onerror = () => reject(request.error);
+        transaction.oncomplete = () => {
+            notifyOtherWindows(storeName, [item.id]);
+            resolve(stale);
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Runs mutate over every record in the given stores inside one transaction.
+// Records it returns true for are stamped and written back; those are
+// resolved as { storeName, record } once the transaction commits.
+function updateAllInStores(storeNames, mutate) {
+    return new Promise((resolve, reject) => {
+        const transaction = db.transaction(storeNames, 'readwrite');
+        const changed = [];
+        
+        storeNames.forEach(storeName => {
+            transaction.objectStore(storeName).openCursor().onsuccess = (e) => {
+                const cursor = e.target.result;
+                if (!cursor) return;
+                
+                const record = cursor.value;
+                if (mutate(record, storeName) === true) {
+                    stampRecord(record);
+                    cursor.update(record);
+                    changed.push({ storeName, record });
+                }
+                cursor.continue();
+            };
+        });
+        
+        transaction.oncomplete = () => {
+            storeNames.forEach(storeName => notifyOtherWindows(storeName,
+                changed.filter(c => c.storeName === storeName).map(c => c.record.id)));
+            resolve(changed);
+        };
+        transaction.onerror = () => reject(transaction.error);
+    });
+}
+
+// Every local save bumps the record's revision counter
+function stampRecord(record) {
+    record.rev = (record.rev || 0) + 1;
+    record.updatedAt = new Date().toISOString();
+}
+
+// ========================================
+// Account Data Functions
+// ========================================
+
+function deleteDatabase(name) {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.deleteDatabase(name);
+        
         request.onsuccess = () => resolve();
         request.onerror = () => reject(request.error);
+        request.onblocked = () => {
+            alert('Close the other tabs of this app to finish deleting local data.');
+        };
+    });
+}
+
+// Offer data from the shared pre-account database to the first user who
+// wants it, then remove it so nobody else on this browser can see it
+async function claimLegacyDatabase() {
+    if (!indexedDB.databases) return;
+    
+    const declinedKey = window.authModule.userStorageKey('legacy_db_declined');
+    if (localStorage.getItem(declinedKey)) return;
+    
+    const databases = await indexedDB.databases();
+    if (!databases.some(d => d.name === DB_NAME)) return;
+    
+    if (!confirm('Notes and tools saved on this device before accounts were separated were found. Move them into your account?')) {
+        localStorage.setItem(declinedKey, 'true');
+        return;
+    }
+    
+    const legacyDb = await new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME);
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
     });
+    
+    for (const storeName of ['notes', 'tools']) {
+        if (!legacyDb.objectStoreNames.contains(storeName)) continue;
+        
+        const records = await new Promise((resolve, reject) => {
+            const request = legacyDb.transaction([storeName], 'readonly').objectStore(storeName).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        
+        for (const record of records) {
+            // Never synced under this account, so push everything
+            record.rev = record.rev || 1;
+            delete record.syncedRev;
+            delete record.syncedUpdatedAt;
+            await putInStore(storeName, record);
+        }
+    }
+    
+    legacyDb.close();
+    await deleteDatabase(DB_NAME);
+}
+
+// Called by the auth module while the session is still valid. Returning
+// false cancels the logout.
+async function handleLogout({ wipeLocalData }) {
+    await saveDirtyTabs();
+    
+    // Push what is still pending while the session is valid
+    await window.syncModule.syncNow();
+    
+    if (wipeLocalData) {
+        const pending = await window.syncModule.countPendingChanges();
+        if (pending > 0 && !confirm(`${pending} change(s) have not been synced and will be lost. Delete local data anyway?`)) {
+            return false;
+        }
+    }
+}
+
+// Called once the server has ended the session. Nothing is torn down
+// before then, so a logout that fails leaves the app working.
+async function handleLoggedOut({ wipeLocalData }) {
+    window.syncModule.stopSync();
+    closeWindowChannel();
+    stopLinkChecks();
+    stopTrashPurge();
+    clearInterval(state.autosaveTimer);
+    state.autosaveTimer = null;
+    stopReminders();
+    
+    db.close();
+    db = null;
+    
+    if (wipeLocalData) {
+        await deleteDatabase(getDatabaseName());
+    }
 }
 
 // ========================================
@@ -125,8 +443,13 @@ function createNote() {
         title: 'Untitled Note',
         content: '',
         tags: [],
+        toolIds: [],
+        folderId: state.activeFolderId,
         pinned: false,
         archived: false,
+        dueAt: null,
+        remindAt: null,
+        rev: 0,
         createdAt: new Date().toISOString(),
         updatedAt: new Date().toISOString()
     };
@@ -135,12 +458,23 @@ function createNote() {
 
 async function loadNotes() {
     state.notes = await getAllFromStore('notes');
+    scheduleReminders();
     renderNotesList();
+    renderJournalCalendar();
 }
 
 async function saveNote(note) {
-    note.updatedAt = new Date().toISOString();
-    await putInStore('notes', note);
+    // History keeps what a save replaces, so the version before a bad edit
+    // is always there to go back to
+    const stored = await getFromStore('notes', note.id);
+    if (stored) {
+        await snapshotNoteVersion(stored);
+    }
+    
+    const baseRev = note.rev || 0;
+    stampRecord(note);
+    const stale = await putAndDetectStale('notes', note, baseRev);
+    await indexRecord('notes', note);
     
     const index = state.notes.findIndex(n => n.id === note.id);
     if (index >= 0) {
@@ -150,45 +484,95 @@ async function saveNote(note) {
     }
     
     renderNotesList();
-    updateSaveStatus('Saved');
-    state.isDirty = false;
+    renderFolderTree();
+    renderJournalCalendar();
+    scheduleReminders();
+    // A tab holding a draft still has edits this save did not include
+    const tab = getEditorTab(note.id);
+    if (tab && !tab.draft && tab.isDirty) {
+        tab.isDirty = false;
+        broadcastEditing();
+    }
+    if (state.currentNote && state.currentNote.id === note.id) {
+        updateSaveStatus('Saved');
+    }
+    renderEditorTabs();
+    if (stale) {
+        await recordStaleWrite('notes', stale);
+    }
+    window.syncModule.scheduleSync();
 }
 
 async function deleteNote(id) {
-    if (!confirm('Are you sure you want to delete this note?')) return;
-    
-    await deleteFromStore('notes', id);
-    state.notes = state.notes.filter(n => n.id !== id);
+    const note = state.notes.find(n => n.id === id);
+    if (!note) return;
     
-    if (state.currentNote && state.currentNote.id === id) {
-        state.currentNote = null;
-        showEditorPlaceholder();
+    if (getEditorTab(id)) {
+        await closeEditorTab(id);
     }
     
-    renderNotesList();
+    await moveToTrash('notes', note);
+}
+
+// Archived notes only show up in the Archived and All views, or in a search
+// that explicitly asks for them
+function matchesNotesView(note, view, includeArchived) {
+    switch(view) {
+        case 'archived':
+            return note.archived;
+        case 'pinned':
+            return note.pinned && (includeArchived || !note.archived);
+        case 'tasks':
+            return hasOpenTasks(note) && (includeArchived || !note.archived);
+        case 'all':
+            return true;
+        default:
+            return includeArchived || !note.archived;
+    }
 }
 
 function filterAndSortNotes() {
-    let filtered = [...state.notes];
+    let filtered = state.notes.filter(note => !note.deletedAt);
+    
+    // Apply view filter
+    const view = document.getElementById('notes-view-filter').value;
+    const includeArchived = document.getElementById('search-include-archived').checked &&
+        document.getElementById('notes-search').value.trim() !== '';
+    filtered = filtered.filter(note => matchesNotesView(note, view, includeArchived));
+    
+    // Apply folder filter; a folder includes its subfolders
+    if (state.activeFolderId) {
+        const folderIds = getFolderSubtreeIds(state.activeFolderId);
+        filtered = filtered.filter(note => folderIds.has(note.folderId));
+    }
     
     // Apply tag filter
-    if (state.activeTagFilter) {
-        filtered = filtered.filter(note => note.tags.includes(state.activeTagFilter));
+    filtered = filtered.filter(note => matchesTagFilters(note.tags));
+    
+    // Apply tool filter, set from a tool card's Notes button
+    if (state.toolNoteFilter) {
+        filtered = filtered.filter(note => (note.toolIds || []).includes(state.toolNoteFilter));
     }
     
-    // Apply search filter
-    const searchQuery = document.getElementById('notes-search').value.toLowerCase();
-    if (searchQuery) {
-        filtered = filtered.filter(note => 
-            note.title.toLowerCase().includes(searchQuery) ||
-            note.content.toLowerCase().includes(searchQuery) ||
-            note.tags.some(tag => tag.toLowerCase().includes(searchQuery))
-        );
+    // Apply search filter; matches are ranked by relevance instead of the sort order
+    const scores = searchRecords('notes', document.getElementById('notes-search').value);
+    if (scores) {
+        filtered = filtered
+            .filter(note => scores.has(note.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    } else {
+        sortNotes(filtered, document.getElementById('notes-sort').value);
     }
     
-    // Apply sorting
-    const sortBy = document.getElementById('notes-sort').value;
-    filtered.sort((a, b) => {
+    // Pinned notes always on top
+    const pinned = filtered.filter(n => n.pinned);
+    const unpinned = filtered.filter(n => !n.pinned);
+    
+    return [...pinned, ...unpinned];
+}
+
+function sortNotes(notes, sortBy) {
+    notes.sort((a, b) => {
         switch(sortBy) {
             case 'updated-desc':
                 return new Date(b.updatedAt) - new Date(a.updatedAt);
@@ -202,44 +586,60 @@ function filterAndSortNotes() {
                 return a.title.localeCompare(b.title);
             case 'title-desc':
                 return b.title.localeCompare(a.title);
+            case 'due-asc':
+                return getDueTime(a) - getDueTime(b);
             default:
                 return 0;
         }
     });
-    
-    // Pinned notes always on top
-    const pinned = filtered.filter(n => n.pinned);
-    const unpinned = filtered.filter(n => !n.pinned);
-    
-    return [...pinned, ...unpinned];
 }
 
 function renderNotesList() {
     const notesList = document.getElementById('notes-list');
     const filteredNotes = filterAndSortNotes();
+    const highlightTerms = getHighlightTerms(parseSearchQuery(document.getElementById('notes-search').value));
+    
+    renderSearchSortState('notes-sort', 'notes-search');
+    renderBulkActions();
+    
+    const showingTasks = document.getElementById('notes-view-filter').value === 'tasks';
     
     if (filteredNotes.length === 0) {
-        notesList.innerHTML = '<div style="text-align: center; color: var(--text-tertiary); padding: 2rem;">No notes found</div>';
+        notesList.innerHTML = `<div style="text-align: center; color: var(--text-tertiary); padding: 2rem;">${showingTasks ? 'No open tasks' : 'No notes found'}</div>`;
+        return;
+    }
+    
+    if (showingTasks) {
+        renderOpenTasks(filteredNotes);
         return;
     }
     
     notesList.innerHTML = filteredNotes.map(note => {
         const badges = [];
+        const preview = stripMarkdown(note.content);
+        if (getConflict(note.id)) badges.push('⚠️');
+        if (isEditedElsewhere(note.id)) badges.push('✏️');
         if (note.pinned) badges.push('📌');
         if (note.archived) badges.push('📦');
+        if (note.remindAt && !reminderScheduler?.fired.has(getReminderKey(note))) badges.push('⏰');
+        const progress = renderTaskProgress(note);
+        if (progress) badges.push(progress);
         
         return `
-            <div class="note-item ${state.currentNote?.id === note.id ? 'active' : ''} ${note.pinned ? 'pinned' : ''} ${note.archived ? 'archived' : ''}" 
+            <div class="note-item ${state.currentNote?.id === note.id ? 'active' : ''} ${note.pinned ? 'pinned' : ''} ${note.archived ? 'archived' : ''} ${isOverdue(note) ? 'overdue' : ''} ${state.selectedNoteIds.has(note.id) ? 'selected' : ''}" 
                  data-note-id="${note.id}"
-                 data-testid="note-item-${note.id}">
+                 data-testid="note-item-${note.id}"
+                 draggable="true">
                 <div class="note-item-header">
-                    <div class="note-item-title">${escapeHtml(note.title)}</div>
+                    ${state.selectingNotes ? `<input type="checkbox" class="note-select-checkbox" ${state.selectedNoteIds.has(note.id) ? 'checked' : ''} data-testid="note-select-${note.id}" aria-label="Select note">` : ''}
+                    <div class="note-item-title">${highlightText(note.title, highlightTerms)}</div>
                     <div class="note-item-badges">${badges.join(' ')}</div>
                 </div>
-                <div class="note-item-preview">${escapeHtml(note.content.substring(0, 60))}${note.content.length > 60 ? '...' : ''}</div>
+                <div class="note-item-preview">${highlightText(makeSnippet(preview, highlightTerms), highlightTerms)}</div>
+                ${note.dueAt ? `<div class="note-item-due" data-testid="note-due-${note.id}">${isOverdue(note) ? 'Overdue' : 'Due'} ${formatReminderTime(note.dueAt)}</div>` : ''}
                 ${note.tags.length > 0 ? `
                     <div class="note-item-tags">
-                        ${note.tags.map(tag => `<span class="tag" data-tag="${escapeHtml(tag)}" data-testid="note-tag-${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
+                        ${note.tags.map(tag => `<span class="tag${tagColorClass(tag)}"${tagColorStyle(tag)} data-tag="${escapeHtml(tag)}" data-testid="note-tag-${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
                     </div>
                 ` : ''}
             </div>
@@ -249,34 +649,97 @@ function renderNotesList() {
     // Add click handlers
     notesList.querySelectorAll('.note-item').forEach(item => {
         item.addEventListener('click', (e) => {
-            if (!e.target.classList.contains('tag')) {
-                const noteId = item.dataset.noteId;
+            if (e.target.classList.contains('tag')) return;
+            
+            const noteId = item.dataset.noteId;
+            if (state.selectingNotes) {
+                toggleNoteSelection(noteId);
+            } else if (e.altKey && state.currentNote) {
+                showNoteBeside(noteId);
+            } else {
                 selectNote(noteId);
             }
         });
+        
+        item.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-note-id', item.dataset.noteId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
     });
     
     // Add tag click handlers
     notesList.querySelectorAll('.tag').forEach(tag => {
         tag.addEventListener('click', (e) => {
             e.stopPropagation();
-            setTagFilter(tag.dataset.tag);
+            addTagFilter(tag.dataset.tag);
         });
     });
 }
 
+// ========================================
+// Bulk Note Actions
+// ========================================
+
+function setSelectingNotes(selecting) {
+    state.selectingNotes = selecting;
+    state.selectedNoteIds.clear();
+    renderNotesList();
+}
+
+function toggleNoteSelection(noteId) {
+    if (state.selectedNoteIds.has(noteId)) {
+        state.selectedNoteIds.delete(noteId);
+    } else {
+        state.selectedNoteIds.add(noteId);
+    }
+    renderNotesList();
+}
+
+function renderBulkActions() {
+    const bar = document.getElementById('notes-bulk-actions');
+    const count = state.selectedNoteIds.size;
+    
+    bar.classList.toggle('hidden', !state.selectingNotes);
+    document.getElementById('select-notes-btn').classList.toggle('active', state.selectingNotes);
+    document.getElementById('bulk-selected-count').textContent = `${count} selected`;
+    document.getElementById('bulk-archive-btn').disabled = count === 0;
+    document.getElementById('bulk-unarchive-btn').disabled = count === 0;
+}
+
+async function setNotesArchived(noteIds, archived) {
+    for (const id of noteIds) {
+        const note = state.notes.find(n => n.id === id);
+        if (!note || note.archived === archived) continue;
+        
+        note.archived = archived;
+        await saveNote(note);
+    }
+    
+    if (state.currentNote && noteIds.includes(state.currentNote.id)) {
+        updatePinArchiveButtons();
+    }
+    setSelectingNotes(false);
+}
+
 function selectNote(noteId) {
     const note = state.notes.find(n => n.id === noteId);
     if (!note) return;
     
-    // Save current note if dirty
-    if (state.currentNote && state.isDirty) {
-        saveCurrentNote();
+    // The tab being left keeps its unsaved edits as a draft
+    stashCurrentDraft();
+    openEditorTab(noteId);
+    
+    // Picking the note shown beside swaps the two panes
+    if (state.splitNoteId === noteId) {
+        state.splitNoteId = state.currentNote ? state.currentNote.id : null;
     }
     
     state.currentNote = note;
-    state.isDirty = false;
+    hideConflictView();
+    hideHistoryPanel();
     renderNoteEditor();
+    renderSplitPane();
+    saveEditorTabs();
 }
 
 function renderNoteEditor() {
@@ -291,13 +754,32 @@ function renderNoteEditor() {
     placeholder.classList.add('hidden');
     content.classList.remove('hidden');
     
-    document.getElementById('note-title').value = state.currentNote.title;
-    document.getElementById('note-tags').value = state.currentNote.tags.join(', ');
-    document.getElementById('note-content').value = state.currentNote.content;
+    // A draft left behind when switching tabs moves back into the editor
+    const tab = getEditorTab(state.currentNote.id);
+    const draft = (tab && tab.draft) || {};
+    if (tab && tab.draft) {
+        // Keep editing from the revision the draft was based on
+        if (tab.draft.baseRev !== state.currentNote.rev) {
+            state.currentNote = { ...state.currentNote, rev: tab.draft.baseRev };
+        }
+        tab.draft = null;
+    }
+    
+    document.getElementById('note-title').value = draft.title ?? state.currentNote.title;
+    noteTagInput.setTags(draft.tags ?? state.currentNote.tags);
+    document.getElementById('note-content').value = draft.content ?? state.currentNote.content;
+    updateSaveStatus(isCurrentNoteDirty() ? 'Unsaved changes' : 'Saved');
     
-    renderNoteTags();
     updateNoteMetadata();
     updatePinArchiveButtons();
+    renderReminderFields();
+    renderBacklinks();
+    renderLinkedTools();
+    renderJournalCalendar();
+    renderConflictBanner();
+    renderEditLocks();
+    applyEditorMode();
+    renderEditorTabs();
     
     renderNotesList(); // Re-render to update active state
 }
@@ -307,18 +789,6 @@ function showEditorPlaceholder() {
     document.getElementById('editor-content').classList.add('hidden');
 }
 
-function renderNoteTags() {
-    const tagsDisplay = document.getElementById('note-tags-display');
-    if (state.currentNote.tags.length === 0) {
-        tagsDisplay.innerHTML = '';
-        return;
-    }
-    
-    tagsDisplay.innerHTML = state.currentNote.tags
-        .map(tag => `<span class="tag" data-testid="editor-tag-${escapeHtml(tag)}">${escapeHtml(tag)}</span>`)
-        .join('');
-}
-
 function updateNoteMetadata() {
     const metadata = document.getElementById('note-metadata');
     const created = new Date(state.currentNote.createdAt).toLocaleString();
@@ -351,14 +821,9 @@ function saveCurrentNote() {
     state.currentNote.title = document.getElementById('note-title').value || 'Untitled Note';
     state.currentNote.content = document.getElementById('note-content').value;
     
-    const tagsInput = document.getElementById('note-tags').value;
-    state.currentNote.tags = tagsInput
-        .split(',') 
-        .map(t => t.trim())
-        .filter(t => t.length > 0);
+    state.currentNote.tags = noteTagInput.getTags();
     
-    saveNote(state.currentNote);
-    renderNoteTags();
+    return saveNote(state.currentNote);
 }
 
 function setupAutosave() {
@@ -371,264 +836,4512 @@ function setupAutosave() {
     
     if (interval !== 'off') {
         state.autosaveTimer = setInterval(() => {
-            if (state.currentNote && state.isDirty) {
+            if (isCurrentNoteDirty()) {
                 updateSaveStatus('Saving...');
-                saveCurrentNote();
+            }
+            if (state.editorTabs.some(tab => tab.isDirty)) {
+                saveDirtyTabs();
             }
         }, parseInt(interval));
     }
 }
 
 // ========================================
-// Tools Functions
+// Editor Tab Functions
 // ========================================
 
-function createTool() {
-    return {
-        id: crypto.randomUUID(),
-        name: '',
-        url: '',
-        description: '',
-        tags: [],
-        favorite: false,
-        createdAt: new Date().toISOString(),
-        updatedAt: new Date().toISOString()
-    };
+const EDITOR_TABS_KEY = 'notepad_editor_tabs';
+
+// Each open note gets a tab with its own dirty flag. The active tab's edits
+// live in the editor fields; any other tab keeps them in tab.draft.
+function getEditorTab(noteId) {
+    return state.editorTabs.find(tab => tab.noteId === noteId) || null;
 }
 
-async function loadTools() {
-    state.tools = await getAllFromStore('tools');
-    renderToolsGrid();
+function isNoteDirty(noteId) {
+    const tab = getEditorTab(noteId);
+    return Boolean(tab && tab.isDirty);
 }
 
-async function saveTool(tool) {
-    tool.updatedAt = new Date().toISOString();
-    await putInStore('tools', tool);
+function isCurrentNoteDirty() {
+    return Boolean(state.currentNote) && isNoteDirty(state.currentNote.id);
+}
+
+function setNoteDirty(noteId, dirty) {
+    const tab = getEditorTab(noteId);
+    if (!tab) return;
     
-    const index = state.tools.findIndex(t => t.id === tool.id);
-    if (index >= 0) {
-        state.tools[index] = tool;
-    } else {
-        state.tools.push(tool);
+    const changed = tab.isDirty !== dirty;
+    tab.isDirty = dirty;
+    renderEditorTabs();
+    if (changed) {
+        broadcastEditing();
     }
+}
+
+function markCurrentNoteDirty() {
+    if (!state.currentNote) return;
     
-    renderToolsGrid();
+    setNoteDirty(state.currentNote.id, true);
+    updateSaveStatus('Unsaved changes');
 }
 
-async function deleteTool(id) {
-    if (!confirm('Are you sure you want to delete this tool?')) return;
+// New tabs open next to the active one
+function openEditorTab(noteId) {
+    if (getEditorTab(noteId)) return;
     
-    await deleteFromStore('tools', id);
-    state.tools = state.tools.filter(t => t.id !== id);
-    renderToolsGrid();
+    const activeIndex = state.currentNote
+        ? state.editorTabs.findIndex(tab => tab.noteId === state.currentNote.id)
+        : -1;
+    const index = activeIndex >= 0 ? activeIndex + 1 : state.editorTabs.length;
+    state.editorTabs.splice(index, 0, { noteId, isDirty: false, draft: null });
 }
 
-async function toggleFavorite(id) {
-    const tool = state.tools.find(t => t.id === id);
-    if (!tool) return;
+function stashCurrentDraft() {
+    if (!isCurrentNoteDirty()) return;
     
-    tool.favorite = !tool.favorite;
-    await saveTool(tool);
+    getEditorTab(state.currentNote.id).draft = {
+        title: document.getElementById('note-title').value,
+        content: document.getElementById('note-content').value,
+        tags: noteTagInput.getTags(),
+        baseRev: state.currentNote.rev
+    };
 }
 
-function filterAndSortTools() {
-    let filtered = [...state.tools];
+// The draft is saved against the revision it was started from, so a newer
+// copy written in the meantime turns into a conflict instead of being lost
+async function saveTabDraft(tab) {
+    const note = state.notes.find(n => n.id === tab.noteId);
+    if (!note || !tab.draft) return;
     
-    // Apply tag filter
-    if (state.activeTagFilter) {
-        filtered = filtered.filter(tool => tool.tags.includes(state.activeTagFilter));
-    }
-    
-    // Apply search filter
-    const searchQuery = document.getElementById('tools-search').value.toLowerCase();
-    if (searchQuery) {
-        filtered = filtered.filter(tool => 
-            tool.name.toLowerCase().includes(searchQuery) ||
-            tool.description.toLowerCase().includes(searchQuery) ||
-            tool.url.toLowerCase().includes(searchQuery) ||
-            tool.tags.some(tag => tag.toLowerCase().includes(searchQuery))
-        );
+    const { baseRev, ...fields } = tab.draft;
+    tab.draft = null;
+    await saveNote({ ...note, ...fields, title: fields.title || 'Untitled Note', rev: baseRev });
+}
+
+async function saveDirtyTabs() {
+    if (isCurrentNoteDirty()) {
+        await saveCurrentNote();
     }
     
-    // Apply sorting
-    const sortBy = document.getElementById('tools-sort').value;
-    filtered.sort((a, b) => {
-        switch(sortBy) {
-            case 'updated-desc':
-                return new Date(b.updatedAt) - new Date(a.updatedAt);
-            case 'updated-asc':
-                return new Date(a.updatedAt) - new Date(b.updatedAt);
-            case 'created-desc':
-                return new Date(b.createdAt) - new Date(a.createdAt);
-            case 'created-asc':
-                return new Date(a.createdAt) - new Date(b.createdAt);
-            case 'name-asc':
-                return a.name.localeCompare(b.name);
-            case 'name-desc':
-                return b.name.localeCompare(a.name);
-            default:
-                return 0;
-        }
-    });
+    for (const tab of state.editorTabs.filter(t => t.draft)) {
+        await saveTabDraft(tab);
+    }
+}
+
+// Closing a tab keeps what was typed unless the note itself is gone
+async function closeEditorTab(noteId, { save = true } = {}) {
+    const index = state.editorTabs.findIndex(tab => tab.noteId === noteId);
+    if (index < 0) return;
+    
+    const tab = state.editorTabs[index];
+    const isActive = state.currentNote && state.currentNote.id === noteId;
+    if (save && isActive && tab.isDirty) {
+        await saveCurrentNote();
+    } else if (save && tab.draft) {
+        await saveTabDraft(tab);
+    }
+    
+    state.editorTabs = state.editorTabs.filter(t => t !== tab);
+    if (state.splitNoteId === noteId) {
+        state.splitNoteId = null;
+    }
+    
+    if (isActive) {
+        const next = state.editorTabs[Math.min(index, state.editorTabs.length - 1)];
+        state.currentNote = null;
+        if (next) {
+            selectNote(next.noteId);
+            return;
+        }
+        showEditorPlaceholder();
+        renderNotesList();
+    }
+    
+    renderEditorTabs();
+    renderSplitPane();
+    saveEditorTabs();
+}
+
+function saveEditorTabs() {
+    localStorage.setItem(window.authModule.userStorageKey(EDITOR_TABS_KEY), JSON.stringify({
+        noteIds: state.editorTabs.map(tab => tab.noteId),
+        activeNoteId: state.currentNote ? state.currentNote.id : null,
+        splitNoteId: state.splitNoteId
+    }));
+}
+
+function loadEditorTabs() {
+    const saved = JSON.parse(localStorage.getItem(window.authModule.userStorageKey(EDITOR_TABS_KEY)) || 'null');
+    if (!saved) return;
+    
+    const canOpen = (noteId) => state.notes.some(n => n.id === noteId && !n.deletedAt);
+    state.editorTabs = saved.noteIds.filter(canOpen).map(noteId => ({ noteId, isDirty: false, draft: null }));
+    state.splitNoteId = getEditorTab(saved.splitNoteId) ? saved.splitNoteId : null;
+    
+    const active = getEditorTab(saved.activeNoteId) ? saved.activeNoteId : state.editorTabs[0]?.noteId;
+    if (active) {
+        selectNote(active);
+    }
+}
+
+function renderEditorTabs() {
+    const list = document.getElementById('editor-tab-list');
+    
+    document.getElementById('editor-tabs').classList.toggle('hidden', state.editorTabs.length === 0);
+    list.innerHTML = state.editorTabs.map(tab => {
+        const note = state.notes.find(n => n.id === tab.noteId);
+        const title = (tab.draft && tab.draft.title) || (note && note.title) || 'Untitled Note';
+        const isActive = state.currentNote && state.currentNote.id === tab.noteId;
+        const classes = [
+            'editor-tab',
+            isActive ? 'active' : '',
+            tab.noteId === state.splitNoteId ? 'beside' : '',
+            tab.isDirty ? 'dirty' : '',
+            isEditedElsewhere(tab.noteId) ? 'locked' : ''
+        ].filter(Boolean).join(' ');
+        
+        return `
+            <div class="${classes}" role="tab" aria-selected="${Boolean(isActive)}" data-note-id="${tab.noteId}"
+                 data-testid="editor-tab-${tab.noteId}" title="${escapeHtml(title)}">
+                <span class="editor-tab-title">${escapeHtml(title)}</span>
+                <span class="editor-tab-dirty" aria-label="Unsaved changes">●</span>
+                <button class="editor-tab-close" data-testid="close-tab-${tab.noteId}" aria-label="Close tab">×</button>
+            </div>
+        `;
+    }).join('');
+    
+    list.querySelectorAll('.editor-tab').forEach(el => {
+        el.addEventListener('click', () => selectNote(el.dataset.noteId));
+        // Middle click closes, as in a browser
+        el.addEventListener('auxclick', (e) => {
+            if (e.button === 1) closeEditorTab(el.dataset.noteId);
+        });
+        el.querySelector('.editor-tab-close').addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeEditorTab(el.dataset.noteId);
+        });
+    });
+}
+
+// ========================================
+// Side-by-side View
+// ========================================
+
+function showNoteBeside(noteId) {
+    if (!state.currentNote || state.currentNote.id === noteId) return;
+    
+    openEditorTab(noteId);
+    state.splitNoteId = noteId;
+    renderEditorTabs();
+    renderSplitPane();
+    saveEditorTabs();
+}
+
+function toggleSplitView() {
+    if (state.splitNoteId) {
+        state.splitNoteId = null;
+        renderEditorTabs();
+        renderSplitPane();
+        saveEditorTabs();
+        return;
+    }
+    
+    // Start with the neighbouring tab; the pane's picker switches to any other
+    const index = state.editorTabs.findIndex(tab => state.currentNote && tab.noteId === state.currentNote.id);
+    const neighbour = state.editorTabs[index - 1] || state.editorTabs[index + 1];
+    if (!neighbour) {
+        alert('Open another note to show it side by side. Alt+click a note in the list to open it beside this one.');
+        return;
+    }
+    showNoteBeside(neighbour.noteId);
+}
+
+function renderSplitPane() {
+    const note = state.splitNoteId && state.notes.find(n => n.id === state.splitNoteId);
+    
+    document.getElementById('editor-panes').classList.toggle('split', Boolean(note));
+    document.getElementById('split-pane').classList.toggle('hidden', !note);
+    document.getElementById('split-view-btn').classList.toggle('active', Boolean(note));
+    if (!note) return;
+    
+    const draft = getEditorTab(note.id).draft || {};
+    const select = document.getElementById('split-note-select');
+    select.innerHTML = state.editorTabs
+        .filter(tab => tab.noteId !== state.currentNote.id)
+        .map(tab => {
+            const tabNote = state.notes.find(n => n.id === tab.noteId);
+            return `<option value="${tab.noteId}">${escapeHtml(tabNote ? tabNote.title : 'Untitled Note')}</option>`;
+        })
+        .join('');
+    select.value = note.id;
+    
+    document.getElementById('split-note-title').value = draft.title ?? note.title;
+    document.getElementById('split-note-content').value = draft.content ?? note.content;
+}
+
+// The pane beside is never the active tab, so its edits go straight to a draft
+function updateSplitDraft() {
+    const tab = getEditorTab(state.splitNoteId);
+    if (!tab) return;
+    
+    const note = state.notes.find(n => n.id === tab.noteId);
+    tab.draft = {
+        ...tab.draft,
+        title: document.getElementById('split-note-title').value,
+        content: document.getElementById('split-note-content').value,
+        baseRev: tab.draft ? tab.draft.baseRev : note.rev
+    };
+    setNoteDirty(tab.noteId, true);
+}
+
+// ========================================
+// Folder Functions
+// ========================================
+
+const COLLAPSED_FOLDERS_KEY = 'notepad_collapsed_folders';
+
+function createFolder(name, parentId = null) {
+    return {
+        id: crypto.randomUUID(),
+        name,
+        parentId,
+        sortBy: 'updated-desc',
+        rev: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function loadFolders() {
+    state.folders = await getAllFromStore('folders');
+    
+    const collapsed = localStorage.getItem(window.authModule.userStorageKey(COLLAPSED_FOLDERS_KEY));
+    state.collapsedFolders = new Set(collapsed ? JSON.parse(collapsed) : []);
+    
+    renderFolderTree();
+}
+
+async function saveFolder(folder) {
+    stampRecord(folder);
+    await putInStore('folders', folder);
+    
+    const index = state.folders.findIndex(f => f.id === folder.id);
+    if (index >= 0) {
+        state.folders[index] = folder;
+    } else {
+        state.folders.push(folder);
+    }
+    
+    renderFolderTree();
+    window.syncModule.scheduleSync();
+}
+
+function getFolder(id) {
+    return state.folders.find(f => f.id === id);
+}
+
+function getChildFolders(parentId) {
+    return state.folders
+        .filter(f => (f.parentId || null) === parentId)
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// The folder and everything nested below it
+function getFolderSubtreeIds(folderId) {
+    const ids = new Set([folderId]);
+    let added = true;
+    
+    while (added) {
+        added = false;
+        state.folders.forEach(folder => {
+            if (ids.has(folder.parentId) && !ids.has(folder.id)) {
+                ids.add(folder.id);
+                added = true;
+            }
+        });
+    }
+    
+    return ids;
+}
+
+// Notes in a folder or its subfolders, leaving out trashed and archived ones
+function countNotesInFolder(folderId) {
+    const ids = folderId ? getFolderSubtreeIds(folderId) : null;
+    return state.notes.filter(note =>
+        !note.deletedAt && !note.archived && (!ids || ids.has(note.folderId))
+    ).length;
+}
+
+async function addFolder(parentId = null) {
+    const name = prompt(parentId ? `New folder inside "${getFolder(parentId).name}":` : 'New folder name:');
+    if (!name || !name.trim()) return;
+    
+    if (parentId) {
+        state.collapsedFolders.delete(parentId);
+        saveCollapsedFolders();
+    }
+    await saveFolder(createFolder(name.trim(), parentId));
+}
+
+async function renameFolder(folderId) {
+    const folder = getFolder(folderId);
+    const name = prompt('Rename folder:', folder.name);
+    if (!name || !name.trim() || name.trim() === folder.name) return;
+    
+    folder.name = name.trim();
+    await saveFolder(folder);
+}
+
+// Notes and subfolders move up to the parent; nothing is deleted with it
+async function deleteFolder(folderId) {
+    const folder = getFolder(folderId);
+    if (!confirm(`Delete the folder "${folder.name}"? Its notes and subfolders move up one level.`)) return;
+    
+    const parentId = folder.parentId || null;
+    
+    for (const child of state.folders.filter(f => f.parentId === folderId)) {
+        child.parentId = parentId;
+        await saveFolder(child);
+    }
+    
+    for (const note of state.notes.filter(n => n.folderId === folderId)) {
+        note.folderId = parentId;
+        await saveNote(note);
+    }
+    
+    await deleteFromStore('folders', folderId);
+    await recordTombstone('folders', folderId);
+    state.folders = state.folders.filter(f => f.id !== folderId);
+    
+    if (state.activeFolderId === folderId) {
+        state.activeFolderId = parentId;
+    }
+    
+    renderFolderTree();
+    renderNotesList();
+    window.syncModule.scheduleSync();
+}
+
+async function moveNoteToFolder(noteId, folderId) {
+    const note = state.notes.find(n => n.id === noteId);
+    if (!note || (note.folderId || null) === folderId) return;
+    
+    // Flush the editor first so the save below does not drop typed changes
+    if (state.currentNote && state.currentNote.id === noteId && isCurrentNoteDirty()) {
+        await saveCurrentNote();
+    }
+    
+    note.folderId = folderId;
+    await saveNote(note);
+    renderFolderTree();
+}
+
+async function moveFolder(folderId, parentId) {
+    const folder = getFolder(folderId);
+    if (!folder || (folder.parentId || null) === parentId) return;
+    
+    // A folder cannot be dropped into itself or one of its own subfolders
+    if (parentId && getFolderSubtreeIds(folderId).has(parentId)) return;
+    
+    folder.parentId = parentId;
+    await saveFolder(folder);
+}
+
+function selectFolder(folderId) {
+    state.activeFolderId = folderId;
+    
+    // Each folder remembers how its notes are sorted
+    const folder = folderId ? getFolder(folderId) : null;
+    if (folder) {
+        document.getElementById('notes-sort').value = folder.sortBy || 'updated-desc';
+    }
+    
+    renderFolderTree();
+    renderNotesList();
+}
+
+function toggleFolderCollapsed(folderId) {
+    if (state.collapsedFolders.has(folderId)) {
+        state.collapsedFolders.delete(folderId);
+    } else {
+        state.collapsedFolders.add(folderId);
+    }
+    saveCollapsedFolders();
+    renderFolderTree();
+}
+
+function saveCollapsedFolders() {
+    localStorage.setItem(
+        window.authModule.userStorageKey(COLLAPSED_FOLDERS_KEY),
+        JSON.stringify([...state.collapsedFolders])
+    );
+}
+
+function renderFolderBranch(parentId, depth) {
+    return getChildFolders(parentId).map(folder => {
+        const hasChildren = state.folders.some(f => f.parentId === folder.id);
+        const collapsed = state.collapsedFolders.has(folder.id);
+        
+        return `
+            <div class="folder-row ${state.activeFolderId === folder.id ? 'active' : ''}"
+                 draggable="true"
+                 data-folder-id="${folder.id}"
+                 data-testid="folder-row-${folder.id}"
+                 style="padding-left: ${0.25 + depth}rem">
+                <button class="folder-toggle" data-folder-id="${folder.id}" data-testid="folder-toggle-${folder.id}"
+                        ${hasChildren ? '' : 'disabled'} aria-label="${collapsed ? 'Expand' : 'Collapse'}">${hasChildren ? (collapsed ? '▸' : '▾') : ''}</button>
+                <span class="folder-name">📁 ${escapeHtml(folder.name)}</span>
+                <span class="folder-count" data-testid="folder-count-${folder.id}">${countNotesInFolder(folder.id)}</span>
+                <span class="folder-actions">
+                    <button class="add-subfolder-btn" data-folder-id="${folder.id}" data-testid="add-subfolder-btn-${folder.id}" title="New subfolder">+</button>
+                    <button class="rename-folder-btn" data-folder-id="${folder.id}" data-testid="rename-folder-btn-${folder.id}" title="Rename">✏️</button>
+                    <button class="delete-folder-btn" data-folder-id="${folder.id}" data-testid="delete-folder-btn-${folder.id}" title="Delete">🗑️</button>
+                </span>
+            </div>
+            ${hasChildren && !collapsed ? renderFolderBranch(folder.id, depth + 1) : ''}
+        `;
+    }).join('');
+}
+
+function renderFolderTree() {
+    const tree = document.getElementById('folder-tree');
+    
+    tree.innerHTML = `
+        <div class="folder-row ${state.activeFolderId ? '' : 'active'}" data-folder-id="" data-testid="folder-row-all" style="padding-left: 0.25rem">
+            <span class="folder-toggle"></span>
+            <span class="folder-name">📚 All notes</span>
+            <span class="folder-count" data-testid="folder-count-all">${countNotesInFolder(null)}</span>
+        </div>
+        ${renderFolderBranch(null, 1)}
+    `;
+    
+    tree.querySelectorAll('.folder-row').forEach(row => {
+        const folderId = row.dataset.folderId || null;
+        
+        row.addEventListener('click', () => selectFolder(folderId));
+        
+        row.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-folder-id', folderId);
+            e.dataTransfer.effectAllowed = 'move';
+        });
+        
+        row.addEventListener('dragover', (e) => {
+            const types = [...e.dataTransfer.types];
+            if (types.includes('application/x-note-id') || types.includes('application/x-folder-id')) {
+                e.preventDefault();
+                row.classList.add('drop-target');
+            }
+        });
+        
+        row.addEventListener('dragleave', () => row.classList.remove('drop-target'));
+        
+        row.addEventListener('drop', (e) => {
+            e.preventDefault();
+            row.classList.remove('drop-target');
+            
+            const noteId = e.dataTransfer.getData('application/x-note-id');
+            const draggedFolderId = e.dataTransfer.getData('application/x-folder-id');
+            if (noteId) {
+                moveNoteToFolder(noteId, folderId);
+            } else if (draggedFolderId && draggedFolderId !== folderId) {
+                moveFolder(draggedFolderId, folderId);
+            }
+        });
+    });
+    
+    tree.querySelectorAll('.folder-toggle[data-folder-id]').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleFolderCollapsed(btn.dataset.folderId);
+        });
+    });
+    
+    tree.querySelectorAll('.add-subfolder-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            addFolder(btn.dataset.folderId);
+        });
+    });
+    
+    tree.querySelectorAll('.rename-folder-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            renameFolder(btn.dataset.folderId);
+        });
+    });
+    
+    tree.querySelectorAll('.delete-folder-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteFolder(btn.dataset.folderId);
+        });
+    });
+}
+
+// ========================================
+// Template Functions
+// ========================================
+
+// {{name}} or {{name:default}}; names with a built-in value below are
+// filled in automatically, anything else is asked for when the template is used
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{\{\s*([\w.-]+)(?:\s*:\s*([^}]*))?\s*\}\}/g;
+
+function getBuiltinTemplateValues(now = new Date()) {
+    const user = window.authModule.authState.user || {};
+    return {
+        'date': toDateKey(now),
+        'time': now.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' }),
+        'datetime': now.toLocaleString(),
+        'weekday': now.toLocaleDateString([], { weekday: 'long' }),
+        'user.name': user.name || '',
+        'user.email': user.email || ''
+    };
+}
+
+function createTemplate() {
+    return {
+        id: crypto.randomUUID(),
+        name: 'New template',
+        title: '{{date}} ',
+        content: '',
+        tags: [],
+        rev: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function loadTemplates() {
+    state.templates = await getAllFromStore('templates');
+}
+
+async function saveTemplate(template) {
+    stampRecord(template);
+    await putInStore('templates', template);
+    
+    const index = state.templates.findIndex(t => t.id === template.id);
+    if (index >= 0) {
+        state.templates[index] = template;
+    } else {
+        state.templates.push(template);
+    }
+    
+    window.syncModule.scheduleSync();
+}
+
+async function deleteTemplate(templateId) {
+    await deleteFromStore('templates', templateId);
+    await recordTombstone('templates', templateId);
+    state.templates = state.templates.filter(t => t.id !== templateId);
+    window.syncModule.scheduleSync();
+}
+
+function getSortedTemplates() {
+    return [...state.templates].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// Placeholders the user has to fill in, in order of first appearance
+function getTemplateFields(template) {
+    const builtins = getBuiltinTemplateValues();
+    const fields = [];
+    
+    [template.title, template.content].forEach(text => {
+        for (const [, name, defaultValue] of (text || '').matchAll(TEMPLATE_PLACEHOLDER_PATTERN)) {
+            if (name in builtins || fields.some(f => f.name === name)) continue;
+            fields.push({ name, defaultValue: (defaultValue || '').trim() });
+        }
+    });
+    
+    return fields;
+}
+
+function fillTemplate(text, values) {
+    return (text || '').replace(TEMPLATE_PLACEHOLDER_PATTERN, (match, name, defaultValue) =>
+        name in values ? values[name] : (defaultValue || '').trim()
+    );
+}
+
+function createNoteFromTemplate(template, fieldValues = {}, now = new Date()) {
+    const values = { ...getBuiltinTemplateValues(now), ...fieldValues };
+    const note = createNote();
+    
+    note.title = fillTemplate(template.title || template.name, values).trim() || 'Untitled Note';
+    note.content = fillTemplate(template.content, values);
+    note.tags = [...template.tags];
+    note.templateId = template.id;
+    
+    return note;
+}
+
+async function useTemplate(templateId) {
+    const template = state.templates.find(t => t.id === templateId);
+    if (!template) return;
+    
+    document.getElementById('template-picker-modal').classList.remove('active');
+    
+    const fields = getTemplateFields(template);
+    const values = fields.length > 0 ? await promptTemplateFields(template, fields) : {};
+    if (!values) return;
+    
+    const note = createNoteFromTemplate(template, values);
+    state.notes.push(note);
+    await saveNote(note);
+    selectNote(note.id);
+}
+
+// Resolves with the entered values, or null if the dialog is cancelled
+function promptTemplateFields(template, fields) {
+    const modal = document.getElementById('template-fields-modal');
+    const form = document.getElementById('template-fields-form');
+    
+    document.getElementById('template-fields-title').textContent = template.name;
+    form.innerHTML = fields.map((field, i) => `
+        <div class="form-group">
+            <label for="template-field-${i}">${escapeHtml(field.name)}</label>
+            <input type="text" id="template-field-${i}" data-field="${escapeHtml(field.name)}"
+                   value="${escapeHtml(field.defaultValue)}" data-testid="template-field-${escapeHtml(field.name)}">
+        </div>
+    `).join('');
+    modal.classList.add('active');
+    form.querySelector('input').focus();
+    
+    return new Promise(resolve => {
+        const finish = (values) => {
+            modal.classList.remove('active');
+            submitBtn.removeEventListener('click', submit);
+            cancelBtn.removeEventListener('click', cancel);
+            form.removeEventListener('keydown', submitOnEnter);
+            modal.removeEventListener('click', cancelOnOutsideClick);
+            resolve(values);
+        };
+        const submit = () => {
+            const values = {};
+            form.querySelectorAll('input').forEach(input => {
+                values[input.dataset.field] = input.value;
+            });
+            finish(values);
+        };
+        const cancel = () => finish(null);
+        const submitOnEnter = (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                submit();
+            }
+        };
+        const cancelOnOutsideClick = (e) => {
+            if (e.target === modal) cancel();
+        };
+        
+        const submitBtn = document.getElementById('template-fields-submit-btn');
+        const cancelBtn = document.getElementById('template-fields-cancel-btn');
+        submitBtn.addEventListener('click', submit);
+        cancelBtn.addEventListener('click', cancel);
+        form.addEventListener('keydown', submitOnEnter);
+        modal.addEventListener('click', cancelOnOutsideClick);
+    });
+}
+
+function showTemplatePicker() {
+    const list = document.getElementById('template-picker-list');
+    const templates = getSortedTemplates();
+    
+    list.innerHTML = templates.length === 0
+        ? '<div class="templates-empty">No templates yet. Use "Manage templates" to create one.</div>'
+        : templates.map(template => `
+            <button class="template-option" data-template-id="${template.id}" data-testid="use-template-${template.id}">
+                <span class="template-option-name">${escapeHtml(template.name)}</span>
+                ${template.tags.length > 0 ? `<span class="template-option-tags">${template.tags.map(escapeHtml).join(', ')}</span>` : ''}
+            </button>
+        `).join('');
+    
+    list.querySelectorAll('.template-option').forEach(btn => {
+        btn.addEventListener('click', () => useTemplate(btn.dataset.templateId));
+    });
+    
+    document.getElementById('template-picker-modal').classList.add('active');
+}
+
+// ========================================
+// Template Editor
+// ========================================
+
+let templateTagInput = null;
+let editingTemplateId = null;
+
+function showTemplateEditor(templateId = null) {
+    document.getElementById('template-picker-modal').classList.remove('active');
+    
+    const templates = getSortedTemplates();
+    editingTemplateId = templateId || (templates[0] && templates[0].id) || null;
+    renderTemplateEditor();
+    document.getElementById('template-editor-modal').classList.add('active');
+}
+
+function renderTemplateEditor() {
+    const select = document.getElementById('template-editor-select');
+    const form = document.getElementById('template-editor-form');
+    const template = state.templates.find(t => t.id === editingTemplateId);
+    
+    select.innerHTML = getSortedTemplates()
+        .map(t => `<option value="${t.id}" ${t.id === editingTemplateId ? 'selected' : ''}>${escapeHtml(t.name)}</option>`)
+        .join('');
+    select.disabled = state.templates.length === 0;
+    
+    form.classList.toggle('hidden', !template);
+    document.getElementById('delete-template-btn').disabled = !template;
+    document.getElementById('save-template-btn').disabled = !template;
+    if (!template) return;
+    
+    document.getElementById('template-name').value = template.name;
+    document.getElementById('template-title').value = template.title;
+    document.getElementById('template-content').value = template.content;
+    templateTagInput.setTags(template.tags);
+}
+
+async function saveTemplateFromEditor() {
+    const template = state.templates.find(t => t.id === editingTemplateId);
+    if (!template) return;
+    
+    const name = document.getElementById('template-name').value.trim();
+    if (!name) {
+        alert('Template name is required');
+        return;
+    }
+    
+    template.name = name;
+    template.title = document.getElementById('template-title').value;
+    template.content = document.getElementById('template-content').value;
+    template.tags = templateTagInput.getTags();
+    
+    await saveTemplate(template);
+    renderTemplateEditor();
+    showToast(`Template "${template.name}" saved`);
+}
+
+async function addTemplateFromEditor() {
+    const template = createTemplate();
+    await saveTemplate(template);
+    editingTemplateId = template.id;
+    renderTemplateEditor();
+    document.getElementById('template-name').select();
+}
+
+async function deleteTemplateFromEditor() {
+    const template = state.templates.find(t => t.id === editingTemplateId);
+    if (!template || !confirm(`Delete the template "${template.name}"? Notes made from it are kept.`)) return;
+    
+    await deleteTemplate(template.id);
+    const remaining = getSortedTemplates();
+    editingTemplateId = remaining[0] ? remaining[0].id : null;
+    renderTemplateEditor();
+}
+
+// ========================================
+// Journal Functions
+// ========================================
+
+const JOURNAL_TAG = 'journal';
+
+// Entries made before journalDate existed fall back to their creation day
+function getJournalDate(note) {
+    if (note.journalDate) return note.journalDate;
+    return note.tags.includes(JOURNAL_TAG) ? toDateKey(note.createdAt) : null;
+}
+
+function parseDateKey(dateKey) {
+    const [year, month, day] = dateKey.split('-').map(Number);
+    // Midday, so the date cannot shift across a timezone boundary
+    return new Date(year, month - 1, day, 12);
+}
+
+function findJournalEntry(dateKey) {
+    return state.notes.find(n => !n.deletedAt && getJournalDate(n) === dateKey) || null;
+}
+
+// Opens the entry for a day, creating it from the journal template first
+// if there is none yet
+async function openDailyNote(dateKey = toDateKey(new Date())) {
+    const existing = findJournalEntry(dateKey);
+    if (existing) {
+        selectNote(existing.id);
+        return;
+    }
+    
+    const day = parseDateKey(dateKey);
+    const template = state.templates.find(t => t.id === state.settings.journalTemplateId);
+    let note;
+    
+    if (template) {
+        const fields = getTemplateFields(template);
+        const values = fields.length > 0 ? await promptTemplateFields(template, fields) : {};
+        if (!values) return;
+        note = createNoteFromTemplate(template, values, day);
+    } else {
+        note = createNote();
+        note.title = day.toLocaleDateString([], { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' });
+    }
+    
+    note.journalDate = dateKey;
+    note.tags = [...new Set([...note.tags, JOURNAL_TAG])];
+    state.notes.push(note);
+    await saveNote(note);
+    
+    state.calendarMonth = dateKey.slice(0, 7);
+    selectNote(note.id);
+}
+
+function shiftCalendarMonth(delta) {
+    const [year, month] = state.calendarMonth.split('-').map(Number);
+    state.calendarMonth = toDateKey(new Date(year, month - 1 + delta, 1)).slice(0, 7);
+    renderJournalCalendar();
+}
+
+function renderJournalCalendar() {
+    const grid = document.getElementById('journal-calendar-grid');
+    const [year, month] = state.calendarMonth.split('-').map(Number);
+    const first = new Date(year, month - 1, 1);
+    const daysInMonth = new Date(year, month, 0).getDate();
+    const today = toDateKey(new Date());
+    const selected = state.currentNote ? getJournalDate(state.currentNote) : null;
+    
+    const entryDays = new Set(state.notes
+        .filter(n => !n.deletedAt)
+        .map(getJournalDate)
+        .filter(dateKey => dateKey && dateKey.startsWith(state.calendarMonth)));
+    
+    document.getElementById('journal-calendar-month').textContent =
+        first.toLocaleDateString([], { month: 'long', year: 'numeric' });
+    
+    const weekdays = Array.from({ length: 7 }, (_, i) =>
+        new Date(2024, 0, 7 + i).toLocaleDateString([], { weekday: 'narrow' }));
+    const blanks = Array.from({ length: first.getDay() }, () => '<span class="calendar-blank"></span>');
+    const days = Array.from({ length: daysInMonth }, (_, i) => {
+        const dateKey = `${state.calendarMonth}-${String(i + 1).padStart(2, '0')}`;
+        const classes = [
+            'calendar-day',
+            entryDays.has(dateKey) ? 'has-entry' : '',
+            dateKey === today ? 'today' : '',
+            dateKey === selected ? 'selected' : ''
+        ].filter(Boolean).join(' ');
+        
+        return `<button class="${classes}" data-date="${dateKey}" data-testid="calendar-day-${dateKey}"
+                        title="${entryDays.has(dateKey) ? 'Open entry' : 'Start an entry'}">${i + 1}</button>`;
+    });
+    
+    grid.innerHTML = weekdays.map(day => `<span class="calendar-weekday">${day}</span>`).join('') +
+        blanks.join('') + days.join('');
+    
+    grid.querySelectorAll('.calendar-day').forEach(btn => {
+        btn.addEventListener('click', () => openDailyNote(btn.dataset.date));
+    });
+}
+
+function renderJournalTemplateSetting() {
+    const select = document.getElementById('journal-template');
+    select.innerHTML = '<option value="">Blank page</option>' + getSortedTemplates()
+        .map(t => `<option value="${t.id}">${escapeHtml(t.name)}</option>`)
+        .join('');
+    select.value = state.templates.some(t => t.id === state.settings.journalTemplateId)
+        ? state.settings.journalTemplateId
+        : '';
+}
+
+// ========================================
+// Reminder Functions
+// ========================================
+
+const FIRED_REMINDERS_KEY = 'notepad_fired_reminders';
+// Browsers fire timers immediately when the delay overflows a signed 32-bit int
+const MAX_TIMER_DELAY = 2147483647;
+
+let reminderScheduler = null;
+
+// A reminder fires once per remindAt value; moving it re-arms the reminder
+function getReminderKey(note) {
+    return `${note.id}:${note.remindAt}`;
+}
+
+// Keeps a single timer armed for the earliest pending reminder. The clock and
+// timer functions are injectable so the smoke tests can run it on a fake clock.
+function createReminderScheduler({
+    now = () => Date.now(),
+    setTimeout = (fn, delay) => window.setTimeout(fn, delay),
+    clearTimeout = (id) => window.clearTimeout(id),
+    notify,
+    fired = new Set()
+}) {
+    let notes = [];
+    let timer = null;
+    
+    function getPending() {
+        return notes.filter(note => note.remindAt && !note.deletedAt && !fired.has(getReminderKey(note)));
+    }
+    
+    function cancel() {
+        if (timer !== null) clearTimeout(timer);
+        timer = null;
+    }
+    
+    function check() {
+        timer = null;
+        const current = now();
+        
+        // Reminders that came due while the app was closed fire on the first check
+        getPending()
+            .filter(note => new Date(note.remindAt).getTime() <= current)
+            .forEach(note => {
+                fired.add(getReminderKey(note));
+                notify(note);
+            });
+        
+        const next = Math.min(...getPending().map(note => new Date(note.remindAt).getTime()));
+        if (next !== Infinity) {
+            timer = setTimeout(check, Math.min(next - current, MAX_TIMER_DELAY));
+        }
+    }
+    
+    return {
+        schedule(list) {
+            notes = list;
+            cancel();
+            check();
+        },
+        cancel,
+        fired
+    };
+}
+
+function loadFiredReminders() {
+    const saved = localStorage.getItem(window.authModule.userStorageKey(FIRED_REMINDERS_KEY));
+    return new Set(saved ? JSON.parse(saved) : []);
+}
+
+function saveFiredReminders() {
+    // Only keep keys that still match a note's current reminder
+    const current = new Set(state.notes.filter(n => n.remindAt).map(getReminderKey));
+    const fired = [...reminderScheduler.fired].filter(key => current.has(key));
+    localStorage.setItem(window.authModule.userStorageKey(FIRED_REMINDERS_KEY), JSON.stringify(fired));
+}
+
+function scheduleReminders() {
+    if (!reminderScheduler) {
+        reminderScheduler = createReminderScheduler({
+            notify: notifyReminder,
+            fired: loadFiredReminders()
+        });
+    }
+    reminderScheduler.schedule(state.notes);
+}
+
+function stopReminders() {
+    if (!reminderScheduler) return;
+    reminderScheduler.cancel();
+    reminderScheduler = null;
+}
+
+function notifyReminder(note) {
+    saveFiredReminders();
+    renderNotesList();
+    
+    const open = () => {
+        window.focus();
+        switchTab('notes');
+        selectNote(note.id);
+    };
+    const body = note.dueAt ? `Due ${formatReminderTime(note.dueAt)}` : 'Reminder';
+    
+    // Fall back to an in-app toast when notifications are blocked or unsupported
+    if ('Notification' in window && Notification.permission === 'granted') {
+        const notification = new Notification(`⏰ ${note.title}`, { body, tag: `reminder-${note.id}` });
+        notification.onclick = () => {
+            notification.close();
+            open();
+        };
+    } else {
+        showToast(`⏰ ${note.title} · ${body}`, { actionLabel: 'Open', onAction: open, duration: 15000 });
+    }
+}
+
+function requestNotificationPermission() {
+    if ('Notification' in window && Notification.permission === 'default') {
+        Notification.requestPermission();
+    }
+}
+
+function isOverdue(note, now = Date.now()) {
+    return Boolean(note.dueAt) && !note.archived && new Date(note.dueAt).getTime() < now;
+}
+
+// Notes without a due date sort after every dated note
+function getDueTime(note) {
+    return note.dueAt ? new Date(note.dueAt).getTime() : Number.MAX_SAFE_INTEGER;
+}
+
+function formatReminderTime(iso) {
+    return new Date(iso).toLocaleString([], { dateStyle: 'medium', timeStyle: 'short' });
+}
+
+// datetime-local inputs work in local time without a zone suffix
+function toDateTimeLocal(iso) {
+    if (!iso) return '';
+    const date = new Date(iso);
+    const time = [date.getHours(), date.getMinutes()].map(n => String(n).padStart(2, '0')).join(':');
+    return `${toDateKey(date)}T${time}`;
+}
+
+function fromDateTimeLocal(value) {
+    return value ? new Date(value).toISOString() : null;
+}
+
+function renderReminderFields() {
+    const note = state.currentNote;
+    const hasSchedule = Boolean(note.dueAt || note.remindAt);
+    
+    document.getElementById('note-due-at').value = toDateTimeLocal(note.dueAt);
+    document.getElementById('note-remind-at').value = toDateTimeLocal(note.remindAt);
+    document.getElementById('reminder-panel').classList.toggle('hidden', !hasSchedule);
+    document.getElementById('reminder-note-btn').style.background = hasSchedule ? 'var(--accent-primary)' : '';
+}
+
+async function setNoteSchedule(changes) {
+    if (!state.currentNote) return;
+    
+    Object.assign(state.currentNote, changes);
+    if (changes.remindAt) {
+        requestNotificationPermission();
+    }
+    await saveCurrentNote();
+    renderReminderFields();
+}
+
+// ========================================
+// Version History Functions
+// ========================================
+
+// Every save snapshots the content it replaces. Autosave runs every few
+// seconds, so snapshots older than VERSION_KEEP_ALL_MS are thinned out to
+// the newest one in each VERSION_SNAPSHOT_INTERVAL_MS.
+const VERSION_KEEP_ALL_MS = 10 * 60 * 1000;
+const VERSION_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+const MAX_VERSIONS_PER_NOTE = 100;
+
+async function getNoteVersions(noteId) {
+    const versions = await getAllFromIndex('note_versions', 'noteId', noteId);
+    return versions.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+}
+
+// Versions (newest first) that thinning drops: past the keep-all window
+// only the last text written in each interval stays, up to the cap
+function selectVersionsToPrune(versions, now = Date.now()) {
+    const seenIntervals = new Set();
+    const kept = versions.filter(version => {
+        const createdAt = new Date(version.createdAt).getTime();
+        if (now - createdAt < VERSION_KEEP_ALL_MS) return true;
+        
+        const interval = Math.floor(createdAt / VERSION_SNAPSHOT_INTERVAL_MS);
+        if (seenIntervals.has(interval)) return false;
+        seenIntervals.add(interval);
+        return true;
+    }).slice(0, MAX_VERSIONS_PER_NOTE);
+    
+    return versions.filter(version => !kept.includes(version));
+}
+
+async function snapshotNoteVersion(note) {
+    const versions = await getNoteVersions(note.id);
+    const latest = versions[0];
+    
+    if (latest && latest.title === note.title && latest.content === note.content) return;
+    
+    const snapshot = {
+        id: crypto.randomUUID(),
+        noteId: note.id,
+        title: note.title,
+        content: note.content,
+        tags: [...note.tags],
+        // When this content was written, which can be well before the snapshot
+        savedAt: note.updatedAt,
+        createdAt: new Date().toISOString()
+    };
+    await putInStore('note_versions', snapshot);
+    
+    for (const old of selectVersionsToPrune([snapshot, ...versions])) {
+        await deleteFromStore('note_versions', old.id);
+    }
+}
+
+async function deleteNoteVersions(noteId) {
+    const versions = await getAllFromIndex('note_versions', 'noteId', noteId);
+    for (const version of versions) {
+        await deleteFromStore('note_versions', version.id);
+    }
+}
+
+async function showHistoryPanel() {
+    if (!state.currentNote) return;
+    
+    if (isCurrentNoteDirty()) {
+        await saveCurrentNote();
+    }
+    
+    const versions = await getNoteVersions(state.currentNote.id);
+    const list = document.getElementById('history-list');
+    
+    list.innerHTML = versions.length === 0
+        ? '<div class="history-empty">No earlier versions yet</div>'
+        : versions.map(version => `
+            <button class="history-item" data-version-id="${version.id}" data-testid="history-item-${version.id}">
+                <span class="history-item-time">${new Date(version.savedAt || version.createdAt).toLocaleString()}</span>
+                <span class="history-item-title">${escapeHtml(version.title)}</span>
+            </button>
+        `).join('');
+    
+    list.querySelectorAll('.history-item').forEach(item => {
+        item.addEventListener('click', () => {
+            list.querySelectorAll('.history-item').forEach(i => i.classList.toggle('active', i === item));
+            previewNoteVersion(versions.find(v => v.id === item.dataset.versionId));
+        });
+    });
+    
+    previewNoteVersion(null);
+    document.getElementById('history-panel').classList.remove('hidden');
+    document.getElementById('editor-content').classList.add('showing-history');
+}
+
+function hideHistoryPanel() {
+    document.getElementById('history-panel').classList.add('hidden');
+    document.getElementById('editor-content').classList.remove('showing-history');
+}
+
+function previewNoteVersion(version) {
+    const label = document.getElementById('history-preview-label');
+    const diff = document.getElementById('history-diff');
+    const restoreBtn = document.getElementById('restore-version-btn');
+    
+    restoreBtn.disabled = !version;
+    restoreBtn.dataset.versionId = version ? version.id : '';
+    
+    if (!version) {
+        label.textContent = 'Select a version to compare with the current note';
+        diff.innerHTML = '';
+        return;
+    }
+    
+    const ops = diffLines(version.content, state.currentNote.content);
+    const added = ops.filter(op => op.type === 'added').length;
+    const removed = ops.filter(op => op.type === 'removed').length;
+    label.textContent = `Changes since this version: +${added} −${removed} lines`;
+    
+    diff.innerHTML = ops.map(op => {
+        const marker = op.type === 'added' ? '+' : op.type === 'removed' ? '−' : ' ';
+        const className = op.type === 'same' ? '' : ` class="diff-${op.type}"`;
+        return `<div${className}><span class="diff-marker">${marker}</span>${escapeHtml(op.line)}</div>`;
+    }).join('');
+}
+
+async function restoreNoteVersion(versionId) {
+    const version = await getFromStore('note_versions', versionId);
+    if (!version || !state.currentNote) return;
+    
+    // Keep the state being replaced so the restore itself can be undone
+    await snapshotNoteVersion(state.currentNote);
+    
+    state.currentNote.title = version.title;
+    state.currentNote.content = version.content;
+    state.currentNote.tags = [...version.tags];
+    await saveNote(state.currentNote);
+    
+    hideHistoryPanel();
+    renderNoteEditor();
+}
+
+// ========================================
+// Markdown Functions
+// ========================================
+
+// Notes are rendered by escaping every piece of source text with
+// escapeHtml first and only then adding our own tags, so raw HTML in a
+// note can never reach the page. Links are limited to safe schemes.
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])\s+(.*)$/;
+const FENCE_PATTERN = /^\s*(```|~~~)\s*([\w+-]*)/;
+const HR_PATTERN = /^\s*([-*_])(\s*\1){2,}\s*$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const SAFE_URL_PATTERN = /^(https?:\/\/|mailto:|#|\/)/i;
+
+// lineOffset maps lines back to the note source for nested blocks, so task
+// checkboxes can point at the line they toggle
+function renderMarkdown(source, lineOffset = 0) {
+    const lines = source.replace(/\r\n?/g, '\n').split('\n');
+    const html = [];
+    let i = 0;
+    
+    while (i < lines.length) {
+        const line = lines[i];
+        const fence = line.match(FENCE_PATTERN);
+        
+        if (fence) {
+            const code = [];
+            i++;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+                code.push(lines[i++]);
+            }
+            i++;
+            const langClass = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            html.push(`<pre><code${langClass}>${escapeHtml(code.join('\n'))}</code></pre>`);
+            continue;
+        }
+        
+        if (!line.trim()) {
+            i++;
+            continue;
+        }
+        
+        const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/);
+        if (heading) {
+            const level = heading[1].length;
+            html.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            i++;
+            continue;
+        }
+        
+        if (HR_PATTERN.test(line)) {
+            html.push('<hr>');
+            i++;
+            continue;
+        }
+        
+        if (/^\s*>/.test(line)) {
+            const quoted = [];
+            const start = i;
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+                quoted.push(lines[i++].replace(/^\s*>\s?/, ''));
+            }
+            html.push(`<blockquote>${renderMarkdown(quoted.join('\n'), lineOffset + start)}</blockquote>`);
+            continue;
+        }
+        
+        if (isTableStart(lines, i)) {
+            const table = renderTable(lines, i);
+            html.push(table.html);
+            i = table.next;
+            continue;
+        }
+        
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, i, lineOffset);
+            html.push(list.html);
+            i = list.next;
+            continue;
+        }
+        
+        const paragraph = [];
+        while (i < lines.length && lines[i].trim() && !startsBlock(lines, i)) {
+            paragraph.push(lines[i++]);
+        }
+        html.push(`<p>${paragraph.map(renderInline).join('<br>')}</p>`);
+    }
+    
+    return html.join('\n');
+}
+
+function startsBlock(lines, i) {
+    const line = lines[i];
+    return FENCE_PATTERN.test(line) ||
+        /^\s{0,3}#{1,6}\s/.test(line) ||
+        HR_PATTERN.test(line) ||
+        /^\s*>/.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        isTableStart(lines, i);
+}
+
+function isTableStart(lines, i) {
+    return lines[i].includes('|') && i + 1 < lines.length && lines[i + 1].includes('-') &&
+        TABLE_SEPARATOR_PATTERN.test(lines[i + 1]);
+}
+
+function splitTableRow(line) {
+    return line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map(cell => cell.trim());
+}
+
+function renderTable(lines, start) {
+    const headers = splitTableRow(lines[start]);
+    const aligns = splitTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        return cell.startsWith(':') ? 'left' : '';
+    });
+    const cellTag = (tag, text, index) => {
+        const align = aligns[index] ? ` style="text-align: ${aligns[index]}"` : '';
+        return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+    };
+    
+    const rows = [];
+    let i = start + 2;
+    while (i < lines.length && lines[i].includes('|') && lines[i].trim()) {
+        const cells = splitTableRow(lines[i++]);
+        rows.push(`<tr>${headers.map((_, index) => cellTag('td', cells[index] || '', index)).join('')}</tr>`);
+    }
+    
+    return {
+        html: `<table><thead><tr>${headers.map((text, index) => cellTag('th', text, index)).join('')}</tr></thead><tbody>${rows.join('')}</tbody></table>`,
+        next: i
+    };
+}
+
+// Renders consecutive list items at one indentation level; deeper items
+// become a nested list inside the previous item
+function renderList(lines, start, lineOffset = 0) {
+    const first = lines[start].match(LIST_ITEM_PATTERN);
+    const indent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+    const items = [];
+    let i = start;
+    
+    while (i < lines.length) {
+        const match = lines[i].match(LIST_ITEM_PATTERN);
+        if (!match || match[1].length < indent) break;
+        
+        if (match[1].length > indent) {
+            const nested = renderList(lines, i, lineOffset);
+            items[items.length - 1].children += nested.html;
+            i = nested.next;
+            continue;
+        }
+        
+        if (/\d/.test(match[2]) !== ordered) break;
+        items.push({ text: match[3], line: lineOffset + i, children: '' });
+        i++;
+    }
+    
+    const itemsHtml = items.map(item => {
+        const task = item.text.match(/^\[([ xX])\]\s+(.*)$/);
+        if (task) {
+            const checked = task[1] !== ' ' ? ' checked' : '';
+            return `<li class="task-item"><input type="checkbox" class="task-checkbox" data-line="${item.line}" data-testid="task-checkbox-${item.line}"${checked}> ${renderInline(task[2])}${item.children}</li>`;
+        }
+        return `<li>${renderInline(item.text)}${item.children}</li>`;
+    }).join('');
+    
+    const tag = ordered ? 'ol' : 'ul';
+    return { html: `<${tag}>${itemsHtml}</${tag}>`, next: i };
+}
+
+function renderLink(label, url) {
+    if (!SAFE_URL_PATTERN.test(url)) return label;
+    return `<a href="${url}" target="_blank" rel="noopener noreferrer">${label}</a>`;
+}
+
+function renderInline(text) {
+    // Code spans and links are set aside so emphasis rules cannot touch them
+    const protectedParts = [];
+    const protect = (html) => `\u0000${protectedParts.push(html) - 1}\u0000`;
+    
+    return escapeHtml(text)
+        .replace(/`([^`]+)`/g, (match, code) => protect(`<code>${code}</code>`))
+        .replace(WIKI_LINK_PATTERN, (match, title) => protect(renderWikiLink(title.trim())))
+        .replace(/!?\[([^\]]+)\]\(([^)\s]+)\)/g, (match, label, url) => protect(renderLink(label, url)))
+        .replace(/\bhttps?:\/\/[^\s<]+[^\s<.,;:!?)]/g, url => protect(renderLink(url, url)))
+        .replace(/\*\*(\S(?:.*?\S)?)\*\*|__(\S(?:.*?\S)?)__/g, (match, a, b) => `<strong>${a || b}</strong>`)
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1<em>$2</em>')
+        .replace(/~~(\S(?:.*?\S)?)~~/g, '<del>$1</del>')
+        .replace(/\u0000(\d+)\u0000/g, (match, index) => protectedParts[index]);
+}
+
+// Plain-text version of a note for list previews
+function stripMarkdown(text) {
+    return text
+        .replace(/^\s*(```|~~~).*$/gm, '')
+        .replace(/^\s{0,3}#{1,6}\s+/gm, '')
+        .replace(/^\s*>\s?/gm, '')
+        .replace(/^\s*([-*+]|\d+[.)])\s+(\[[ xX]\]\s+)?/gm, '')
+        .replace(/^\s*([-*_])(\s*\1){2,}\s*$/gm, '')
+        .replace(/^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/gm, '')
+        .replace(WIKI_LINK_PATTERN, '$1')
+        .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+        .replace(/`([^`]*)`/g, '$1')
+        .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+        .replace(/\*(\S(?:.*?\S)?)\*/g, '$1')
+        .replace(/(^|\W)_(\S(?:.*?\S)?)_(?=\W|$)/g, '$1$2')
+        .replace(/\|/g, ' ')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function renderNotePreview() {
+    const content = document.getElementById('note-content').value;
+    document.getElementById('note-preview').innerHTML = renderMarkdown(content);
+}
+
+function applyEditorMode() {
+    const mode = state.settings.editorMode || 'edit';
+    const body = document.getElementById('editor-body');
+    
+    body.classList.remove('mode-edit', 'mode-split', 'mode-preview');
+    body.classList.add(`mode-${mode}`);
+    
+    document.querySelectorAll('.mode-btn').forEach(btn => {
+        btn.classList.toggle('active', btn.dataset.mode === mode);
+        btn.setAttribute('aria-pressed', btn.dataset.mode === mode);
+    });
+    
+    if (mode !== 'edit') {
+        renderNotePreview();
+    }
+}
+
+function setEditorMode(mode) {
+    state.settings.editorMode = mode;
+    saveSettings();
+    applyEditorMode();
+}
+
+// ========================================
+// Checklist Functions
+// ========================================
+
+const TASK_LINE_PATTERN = /^((?:\s*>)*\s*(?:[-*+]|\d+[.)])\s+\[)([ xX])\]\s+(.*)$/;
+
+// Task items by source line, skipping fenced code the preview shows verbatim
+function getTasks(content) {
+    const tasks = [];
+    let fence = null;
+    
+    content.replace(/\r\n?/g, '\n').split('\n').forEach((line, index) => {
+        if (fence) {
+            if (line.trim().startsWith(fence)) fence = null;
+            return;
+        }
+        
+        const fenceMatch = line.match(FENCE_PATTERN);
+        if (fenceMatch) {
+            fence = fenceMatch[1];
+            return;
+        }
+        
+        const task = line.match(TASK_LINE_PATTERN);
+        if (task) {
+            tasks.push({ line: index, done: task[2] !== ' ', text: task[3] });
+        }
+    });
+    
+    return tasks;
+}
+
+function hasOpenTasks(note) {
+    return getTasks(note.content).some(task => !task.done);
+}
+
+async function toggleTask(note, lineIndex) {
+    const isCurrent = state.currentNote && state.currentNote.id === note.id;
+    // The open note may have unsaved edits, so toggle what is in the editor
+    const content = isCurrent ? document.getElementById('note-content').value : note.content;
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+    const task = (lines[lineIndex] || '').match(TASK_LINE_PATTERN);
+    if (!task) return;
+    
+    lines[lineIndex] = task[1] + (task[2] === ' ' ? 'x' : ' ') + lines[lineIndex].slice(task[1].length + 1);
+    
+    if (isCurrent) {
+        document.getElementById('note-content').value = lines.join('\n');
+        await saveCurrentNote();
+        renderNotePreview();
+    } else {
+        note.content = lines.join('\n');
+        await saveNote(note);
+    }
+}
+
+function renderTaskProgress(note) {
+    const tasks = getTasks(note.content);
+    if (tasks.length === 0) return '';
+    
+    const done = tasks.filter(task => task.done).length;
+    return `<span class="task-progress${done === tasks.length ? ' complete' : ''}" data-testid="note-task-progress-${note.id}"
+                  title="${done} of ${tasks.length} tasks done">${done}/${tasks.length}</span>`;
+}
+
+// Open Tasks view: every unchecked item, grouped under its note
+function renderOpenTasks(notes) {
+    const notesList = document.getElementById('notes-list');
+    
+    notesList.innerHTML = notes.map(note => `
+        <div class="task-group" data-testid="task-group-${note.id}">
+            <div class="task-group-title" data-note-id="${note.id}">${escapeHtml(note.title)}</div>
+            ${getTasks(note.content).filter(task => !task.done).map(task => `
+                <label class="open-task">
+                    <input type="checkbox" class="task-checkbox" data-note-id="${note.id}" data-line="${task.line}"
+                           data-testid="open-task-${note.id}-${task.line}">
+                    <span>${renderInline(task.text)}</span>
+                </label>
+            `).join('')}
+        </div>
+    `).join('');
+    
+    notesList.querySelectorAll('.task-group-title').forEach(title => {
+        title.addEventListener('click', () => selectNote(title.dataset.noteId));
+    });
+    
+    notesList.querySelectorAll('.task-checkbox').forEach(checkbox => {
+        checkbox.addEventListener('change', () => {
+            const note = state.notes.find(n => n.id === checkbox.dataset.noteId);
+            if (note) toggleTask(note, Number(checkbox.dataset.line));
+        });
+    });
+}
+
+// ========================================
+// Wiki Link Functions
+// ========================================
+
+const WIKI_LINK_PATTERN = /\[\[([^\[\]\n]+)\]\]/g;
+
+let wikiSuggestions = [];
+let wikiActiveIndex = 0;
+let titleBeforeEdit = null;
+
+function findNoteByTitle(title) {
+    const wanted = title.trim().toLowerCase();
+    const candidates = state.notes.filter(n => !n.deletedAt && n.title.trim().toLowerCase() === wanted);
+    return candidates.find(n => n.title.trim() === title.trim()) || candidates[0] || null;
+}
+
+function extractWikiLinks(content) {
+    return [...(content || '').matchAll(WIKI_LINK_PATTERN)].map(match => match[1].trim());
+}
+
+// Links are matched on the title as typed, ignoring case
+function getBacklinks(note) {
+    const title = note.title.trim().toLowerCase();
+    return state.notes.filter(other =>
+        other.id !== note.id &&
+        !other.deletedAt &&
+        extractWikiLinks(other.content).some(link => link.toLowerCase() === title)
+    );
+}
+
+function renderWikiLink(escapedTitle) {
+    const missing = !findNoteByTitle(unescapeHtml(escapedTitle));
+    return `<a href="#" class="wiki-link${missing ? ' missing' : ''}" data-note-title="${escapedTitle}" title="${missing ? 'Create this note' : 'Open note'}">${escapedTitle}</a>`;
+}
+
+// A link to a title that does not exist yet creates that note
+async function openWikiLink(title) {
+    const target = findNoteByTitle(title);
+    if (target) {
+        selectNote(target.id);
+        return;
+    }
+    
+    const note = createNote();
+    note.title = title.trim();
+    state.notes.push(note);
+    await saveNote(note);
+    selectNote(note.id);
+}
+
+function renderBacklinks() {
+    const panel = document.getElementById('backlinks-panel');
+    const backlinks = getBacklinks(state.currentNote);
+    
+    if (backlinks.length === 0) {
+        panel.classList.add('hidden');
+        return;
+    }
+    
+    document.getElementById('backlinks-list').innerHTML = backlinks.map(note => `
+        <li><a href="#" class="backlink" data-note-id="${note.id}" data-testid="backlink-${note.id}">${escapeHtml(note.title)}</a></li>
+    `).join('');
+    
+    document.querySelectorAll('#backlinks-list .backlink').forEach(link => {
+        link.addEventListener('click', (e) => {
+            e.preventDefault();
+            selectNote(link.dataset.noteId);
+        });
+    });
+    
+    panel.classList.remove('hidden');
+}
+
+// Rewrites [[Old Title]] in every other note after a rename. Skipped when
+// another note still carries the old title, since links to it are ambiguous.
+async function renameWikiLinks(noteId, oldTitle, newTitle) {
+    if (!oldTitle || oldTitle.trim() === newTitle.trim()) return;
+    if (state.notes.some(n => n.id !== noteId && !n.deletedAt && n.title.trim().toLowerCase() === oldTitle.trim().toLowerCase())) return;
+    
+    const pattern = new RegExp(`\\[\\[\\s*${escapeRegExp(oldTitle.trim())}\\s*\\]\\]`, 'gi');
+    const replacement = `[[${newTitle.trim()}]]`;
+    
+    const changed = await updateAllInStores(['notes'], record => {
+        if (record.id === noteId || record.deletedAt) return false;
+        
+        const content = record.content.replace(pattern, replacement);
+        if (content === record.content) return false;
+        record.content = content;
+        return true;
+    });
+    
+    changed.forEach(({ record }) => {
+        const index = state.notes.findIndex(n => n.id === record.id);
+        if (index >= 0) {
+            state.notes[index] = record;
+        }
+    });
+    updateSearchIndex('notes', changed.map(c => c.record));
+    
+    if (changed.length > 0) {
+        renderNotesList();
+        window.syncModule.scheduleSync();
+    }
+}
+
+// The [[ typed so far before the caret, if the caret is inside an open link
+function getOpenWikiLink(textarea) {
+    const before = textarea.value.slice(0, textarea.selectionStart);
+    const match = before.match(/\[\[([^\[\]\n]*)$/);
+    return match ? { start: match.index, query: match[1] } : null;
+}
+
+function updateWikiSuggestions() {
+    const textarea = document.getElementById('note-content');
+    const list = document.getElementById('wiki-suggestions');
+    const open = getOpenWikiLink(textarea);
+    
+    wikiSuggestions = open
+        ? state.notes
+            .filter(n => !n.deletedAt && n.id !== state.currentNote.id)
+            .map(n => ({ title: n.title, score: open.query ? fuzzyScore(open.query, n.title) : 0 }))
+            .filter(({ score }) => score !== null)
+            .sort((a, b) => b.score - a.score || a.title.localeCompare(b.title))
+            .slice(0, MAX_TAG_SUGGESTIONS)
+            .map(({ title }) => title)
+        : [];
+    
+    if (wikiSuggestions.length === 0) {
+        hideWikiSuggestions();
+        return;
+    }
+    
+    wikiActiveIndex = Math.min(wikiActiveIndex, wikiSuggestions.length - 1);
+    list.innerHTML = wikiSuggestions.map((title, i) => `
+        <div class="wiki-suggestion ${i === wikiActiveIndex ? 'active' : ''}" role="option"
+             aria-selected="${i === wikiActiveIndex}" data-index="${i}" data-testid="wiki-suggestion-${i}">${escapeHtml(title)}</div>
+    `).join('');
+    list.classList.remove('hidden');
+    
+    list.querySelectorAll('.wiki-suggestion').forEach(item => {
+        item.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+            insertWikiLink(wikiSuggestions[parseInt(item.dataset.index)]);
+        });
+    });
+}
+
+function hideWikiSuggestions() {
+    wikiSuggestions = [];
+    wikiActiveIndex = 0;
+    document.getElementById('wiki-suggestions').classList.add('hidden');
+}
+
+function insertWikiLink(title) {
+    const textarea = document.getElementById('note-content');
+    const open = getOpenWikiLink(textarea);
+    if (!open) return;
+    
+    const after = textarea.value.slice(textarea.selectionStart);
+    const rest = after.startsWith(']]') ? after.slice(2) : after;
+    const link = `[[${title}]]`;
+    
+    textarea.value = textarea.value.slice(0, open.start) + link + rest;
+    textarea.selectionStart = textarea.selectionEnd = open.start + link.length;
+    textarea.dispatchEvent(new Event('input'));
+}
+
+function handleWikiSuggestionKeys(e) {
+    if (wikiSuggestions.length === 0) return;
+    
+    switch(e.key) {
+        case 'ArrowDown':
+            e.preventDefault();
+            wikiActiveIndex = (wikiActiveIndex + 1) % wikiSuggestions.length;
+            updateWikiSuggestions();
+            break;
+        case 'ArrowUp':
+            e.preventDefault();
+            wikiActiveIndex = wikiActiveIndex === 0 ? wikiSuggestions.length - 1 : wikiActiveIndex - 1;
+            updateWikiSuggestions();
+            break;
+        case 'Enter':
+        case 'Tab':
+            e.preventDefault();
+            insertWikiLink(wikiSuggestions[wikiActiveIndex]);
+            break;
+        case 'Escape':
+            e.preventDefault();
+            hideWikiSuggestions();
+            break;
+    }
+}
+
+// ========================================
+// Note-Tool Link Functions
+// ========================================
+
+// Tools a note references, skipping ones that were deleted since
+function getLinkedTools(note) {
+    return (note.toolIds || [])
+        .map(id => state.tools.find(t => t.id === id))
+        .filter(tool => tool && !tool.deletedAt);
+}
+
+function getNotesForTool(toolId) {
+    return state.notes.filter(n => !n.deletedAt && (n.toolIds || []).includes(toolId));
+}
+
+function getHostname(url) {
+    try {
+        return new URL(url).hostname;
+    } catch (error) {
+        return url;
+    }
+}
+
+async function linkToolToNote(toolId) {
+    if (!state.currentNote || !toolId) return;
+    
+    state.currentNote.toolIds = [...new Set([...(state.currentNote.toolIds || []), toolId])];
+    await saveCurrentNote();
+    renderLinkedTools();
+}
+
+async function unlinkToolFromNote(toolId) {
+    if (!state.currentNote) return;
+    
+    state.currentNote.toolIds = (state.currentNote.toolIds || []).filter(id => id !== toolId);
+    await saveCurrentNote();
+    renderLinkedTools();
+}
+
+function renderLinkedTools() {
+    const list = document.getElementById('note-linked-tools');
+    const select = document.getElementById('link-tool-select');
+    const linked = getLinkedTools(state.currentNote);
+    
+    list.innerHTML = linked.map(tool => `
+        <div class="linked-tool-card" data-tool-id="${tool.id}" data-testid="linked-tool-${tool.id}">
+            <a href="${escapeHtml(tool.url)}" class="linked-tool-link" target="_blank" rel="noopener noreferrer" title="${escapeHtml(tool.url)}">
+                <span class="linked-tool-name">🔧 ${escapeHtml(tool.name)}</span>
+                <span class="linked-tool-host">${escapeHtml(getHostname(tool.url))}</span>
+            </a>
+            <button class="unlink-tool-btn" data-tool-id="${tool.id}" data-testid="unlink-tool-btn-${tool.id}" title="Unlink tool">×</button>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('.unlink-tool-btn').forEach(btn => {
+        btn.addEventListener('click', () => unlinkToolFromNote(btn.dataset.toolId));
+    });
+    
+    list.querySelectorAll('.linked-tool-link').forEach(link => {
+        link.addEventListener('click', () => recordToolOpen(link.closest('.linked-tool-card').dataset.toolId));
+    });
+    
+    const available = state.tools
+        .filter(tool => !tool.deletedAt && !linked.includes(tool))
+        .sort((a, b) => a.name.localeCompare(b.name));
+    
+    select.innerHTML = '<option value="">+ Link a tool...</option>' + available
+        .map(tool => `<option value="${tool.id}">${escapeHtml(tool.name)}</option>`)
+        .join('');
+    select.disabled = available.length === 0;
+}
+
+// Opens the notes that reference a tool: the note itself when there is
+// only one, otherwise the notes list filtered down to them
+function showNotesForTool(toolId) {
+    const notes = getNotesForTool(toolId);
+    if (notes.length === 0) return;
+    
+    state.toolNoteFilter = toolId;
+    switchTab('notes');
+    renderTagFilter();
+    renderNotesList();
+    
+    if (notes.length === 1) {
+        selectNote(notes[0].id);
+    }
+}
+
+function clearToolNoteFilter() {
+    state.toolNoteFilter = null;
+    renderTagFilter();
+    renderNotesList();
+}
+
+// ========================================
+// Tools Functions
+// ========================================
+
+function createTool() {
+    return {
+        id: crypto.randomUUID(),
+        name: '',
+        url: '',
+        description: '',
+        tags: [],
+        collection: '',
+        favorite: false,
+        rev: 0,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+    };
+}
+
+async function loadTools() {
+    state.tools = await getAllFromStore('tools');
+    renderToolsGrid();
+}
+
+async function saveTool(tool) {
+    const baseRev = tool.rev || 0;
+    stampRecord(tool);
+    const stale = await putAndDetectStale('tools', tool, baseRev);
+    await indexRecord('tools', tool);
+    
+    const index = state.tools.findIndex(t => t.id === tool.id);
+    if (index >= 0) {
+        state.tools[index] = tool;
+    } else {
+        state.tools.push(tool);
+    }
+    
+    renderToolsGrid();
+    if (state.currentNote) {
+        renderLinkedTools();
+    }
+    if (stale) {
+        await recordStaleWrite('tools', stale);
+    }
+    window.syncModule.scheduleSync();
+}
+
+async function deleteTool(id) {
+    const tool = state.tools.find(t => t.id === id);
+    if (!tool) return;
+    
+    await moveToTrash('tools', tool);
+}
+
+async function toggleFavorite(id) {
+    const tool = state.tools.find(t => t.id === id);
+    if (!tool) return;
+    
+    tool.favorite = !tool.favorite;
+    await saveTool(tool);
+}
+
+function filterAndSortTools() {
+    let filtered = state.tools.filter(tool => !tool.deletedAt);
+    
+    // Apply link health filter
+    const health = document.getElementById('tools-view-filter').value;
+    if (health !== 'all') {
+        filtered = filtered.filter(tool => getLinkHealth(tool) === health);
+    }
+    
+    // Apply tag filter
+    filtered = filtered.filter(tool => matchesTagFilters(tool.tags));
+    
+    // Apply search filter; matches are ranked by relevance instead of the sort order
+    const scores = searchRecords('tools', document.getElementById('tools-search').value);
+    const sortBy = document.getElementById('tools-sort').value;
+    if (scores) {
+        filtered = filtered
+            .filter(tool => scores.has(tool.id))
+            .sort((a, b) => scores.get(b.id) - scores.get(a.id));
+    } else if (sortBy === 'manual') {
+        // Manual order is exactly what the user arranged
+        return filtered.sort(compareToolOrder);
+    } else {
+        sortTools(filtered, sortBy);
+    }
     
     // Favorite tools always on top
     const favorites = filtered.filter(t => t.favorite);
     const regular = filtered.filter(t => !t.favorite);
     
-    return [...favorites, ...regular];
+    return [...favorites, ...regular];
+}
+
+function sortTools(tools, sortBy) {
+    tools.sort((a, b) => {
+        switch(sortBy) {
+            case 'updated-desc':
+                return new Date(b.updatedAt) - new Date(a.updatedAt);
+            case 'updated-asc':
+                return new Date(a.updatedAt) - new Date(b.updatedAt);
+            case 'created-desc':
+                return new Date(b.createdAt) - new Date(a.createdAt);
+            case 'created-asc':
+                return new Date(a.createdAt) - new Date(b.createdAt);
+            case 'name-asc':
+                return a.name.localeCompare(b.name);
+            case 'name-desc':
+                return b.name.localeCompare(a.name);
+            case 'opened-desc':
+                return (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || '');
+            case 'usage-desc':
+                return (b.openCount || 0) - (a.openCount || 0) ||
+                    (b.lastOpenedAt || '').localeCompare(a.lastOpenedAt || '');
+            default:
+                return 0;
+        }
+    });
+}
+
+function renderToolsGrid() {
+    const toolsGrid = document.getElementById('tools-grid');
+    const filteredTools = filterAndSortTools();
+    const highlightTerms = getHighlightTerms(parseSearchQuery(document.getElementById('tools-search').value));
+    
+    renderSearchSortState('tools-sort', 'tools-search');
+    
+    if (filteredTools.length === 0) {
+        toolsGrid.innerHTML = '<div style="text-align: center; color: var(--text-tertiary); padding: 2rem; grid-column: 1/-1;">No tools found</div>';
+        return;
+    }
+    
+    const renderCards = tools => tools.map(tool => `
+        <div class="tool-card" data-tool-id="${tool.id}" data-testid="tool-card-${tool.id}" draggable="true">
+            <div class="tool-card-header">
+                <div class="tool-card-title">${renderToolIcon(tool)}${highlightText(tool.name, highlightTerms)}</div>
+                <div class="tool-card-actions">
+                    ${renderLinkHealthBadge(tool)}
+                    ${getConflict(tool.id) ? `<button class="conflict-btn" 
+                            data-tool-id="${tool.id}"
+                            data-testid="conflict-btn-${tool.id}"
+                            title="Resolve conflicting changes">⚠️</button>` : ''}
+                    <button class="favorite-btn ${tool.favorite ? 'active' : ''}" 
+                            data-tool-id="${tool.id}"
+                            data-testid="favorite-btn-${tool.id}"
+                            title="Toggle favorite">⭐</button>
+                    <button class="edit-tool-btn" 
+                            data-tool-id="${tool.id}"
+                            data-testid="edit-tool-btn-${tool.id}"
+                            title="Edit">✏️</button>
+                    <button class="delete-tool-btn" 
+                            data-tool-id="${tool.id}"
+                            data-testid="delete-tool-btn-${tool.id}"
+                            title="Delete">🗑️</button>
+                </div>
+            </div>
+            <a href="${escapeHtml(tool.url)}" class="tool-card-url" target="_blank" rel="noopener noreferrer" data-testid="tool-url-${tool.id}">${highlightText(tool.url, highlightTerms)}</a>
+            ${getLinkHealth(tool) === 'redirect' && tool.redirectUrl ? `<div class="tool-card-redirect" data-testid="tool-redirect-${tool.id}">↪ ${escapeHtml(tool.redirectUrl)}</div>` : ''}
+            ${renderToolUsage(tool)}
+            ${tool.description ? `<div class="tool-card-description">${highlightText(tool.description, highlightTerms)}</div>` : ''}
+            ${getNotesForTool(tool.id).length > 0 ? `
+                <button class="tool-notes-btn" data-tool-id="${tool.id}" data-testid="tool-notes-btn-${tool.id}" title="Open notes about this tool">
+                    📝 Notes (${getNotesForTool(tool.id).length})
+                </button>
+            ` : ''}
+            ${tool.tags.length > 0 ? `
+                <div class="tool-card-tags">
+                    ${tool.tags.map(tag => `<span class="tag${tagColorClass(tag)}"${tagColorStyle(tag)} data-tag="${escapeHtml(tag)}" data-testid="tool-tag-${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
+                </div>
+            ` : ''}
+        </div>
+    `).join('');
+    
+    // Sections only appear once at least one tool has a collection
+    const collections = getToolCollections();
+    toolsGrid.classList.toggle('sectioned', collections.length > 0);
+    toolsGrid.innerHTML = collections.length === 0
+        ? renderCards(filteredTools)
+        : [...collections, ''].map(collection => {
+            const tools = filteredTools.filter(tool => (tool.collection || '') === collection);
+            if (tools.length === 0) return '';
+            
+            return `
+                <section class="tool-collection" data-collection="${escapeHtml(collection)}" data-testid="tool-collection-${escapeHtml(collection || 'none')}">
+                    <h3 class="tool-collection-header">
+                        ${escapeHtml(collection || 'Uncategorized')}
+                        <span class="tool-collection-count">${tools.length}</span>
+                    </h3>
+                    <div class="tool-collection-grid">${renderCards(tools)}</div>
+                </section>
+            `;
+        }).join('');
+    
+    setupToolDragAndDrop(toolsGrid);
+    
+    // Add event listeners
+    toolsGrid.querySelectorAll('.favorite-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            toggleFavorite(btn.dataset.toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.tool-card-url').forEach(link => {
+        const toolId = link.closest('.tool-card').dataset.toolId;
+        link.addEventListener('click', () => recordToolOpen(toolId));
+        // Middle-click opens a background tab without a click event
+        link.addEventListener('auxclick', (e) => {
+            if (e.button === 1) recordToolOpen(toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.link-health-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const tool = state.tools.find(t => t.id === btn.dataset.toolId);
+            if (tool) checkLinksNow([tool]);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.tool-notes-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showNotesForTool(btn.dataset.toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.conflict-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            showToolConflictModal(btn.dataset.toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.edit-tool-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            editTool(btn.dataset.toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.delete-tool-btn').forEach(btn => {
+        btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            deleteTool(btn.dataset.toolId);
+        });
+    });
+    
+    toolsGrid.querySelectorAll('.tag').forEach(tag => {
+        tag.addEventListener('click', (e) => {
+            e.stopPropagation();
+            addTagFilter(tag.dataset.tag);
+        });
+    });
+}
+
+function showToolModal(tool = null) {
+    state.editingTool = tool || createTool();
+    
+    document.getElementById('tool-modal-title').textContent = tool ? 'Edit Tool' : 'Add Tool';
+    document.getElementById('tool-name').value = state.editingTool.name;
+    document.getElementById('tool-url').value = state.editingTool.url;
+    document.getElementById('tool-description').value = state.editingTool.description;
+    document.getElementById('tool-collection').value = state.editingTool.collection || '';
+    document.getElementById('tool-collection-options').innerHTML = getToolCollections()
+        .map(collection => `<option value="${escapeHtml(collection)}">`).join('');
+    toolTagInput.setTags(state.editingTool.tags);
+    cancelToolAutofill();
+    
+    document.getElementById('tool-modal').classList.add('active');
+}
+
+function hideToolModal() {
+    document.getElementById('tool-modal').classList.remove('active');
+    cancelToolAutofill();
+    state.editingTool = null;
+}
+
+function saveToolFromModal() {
+    const name = document.getElementById('tool-name').value.trim();
+    const url = document.getElementById('tool-url').value.trim();
+    
+    if (!name || !url) {
+        alert('Name and URL are required');
+        return;
+    }
+    
+    // A new URL has not been checked yet
+    if (url !== state.editingTool.url) {
+        clearLinkCheck(state.editingTool);
+    }
+    
+    state.editingTool.name = name;
+    state.editingTool.url = url;
+    state.editingTool.description = document.getElementById('tool-description').value.trim();
+    
+    state.editingTool.tags = toolTagInput.getTags();
+    
+    // A tool moved to another collection goes to the end of it
+    const collection = document.getElementById('tool-collection').value.trim();
+    if (collection !== (state.editingTool.collection || '')) {
+        delete state.editingTool.order;
+    }
+    state.editingTool.collection = collection;
+    
+    saveTool(state.editingTool);
+    hideToolModal();
+    
+    // Tools saved before the page could be fetched still get an icon
+    if (needsFavicon(url)) {
+        fetchMissingFavicons([url]);
+    }
+}
+
+function editTool(toolId) {
+    const tool = state.tools.find(t => t.id === toolId);
+    if (tool) {
+        showToolModal(tool);
+    }
+}
+
+// ========================================
+// Tool Collection Functions
+// ========================================
+
+// Gap left between neighbours so a drop usually rewrites only the dragged tool
+const TOOL_ORDER_STEP = 1024;
+
+function getToolCollections(tools = state.tools) {
+    const collections = tools
+        .filter(tool => !tool.deletedAt && tool.collection)
+        .map(tool => tool.collection);
+    return [...new Set(collections)].sort((a, b) => a.localeCompare(b));
+}
+
+// Tools never arranged by hand have no order and follow the others by age
+function compareToolOrder(a, b) {
+    return (a.order ?? Infinity) - (b.order ?? Infinity) ||
+        new Date(a.createdAt) - new Date(b.createdAt);
+}
+
+// Returns null when there is no room left between the two
+function getOrderBetween(previous, next) {
+    if (!previous && !next) return TOOL_ORDER_STEP;
+    if (!next) return previous.order + TOOL_ORDER_STEP;
+    if (!previous) return next.order - TOOL_ORDER_STEP;
+    
+    const order = (previous.order + next.order) / 2;
+    return order > previous.order && order < next.order ? order : null;
+}
+
+async function spreadToolOrders(tools) {
+    for (const [i, tool] of tools.entries()) {
+        const order = (i + 1) * TOOL_ORDER_STEP;
+        if (tool.order !== order) {
+            tool.order = order;
+            await saveTool(tool);
+        }
+    }
+}
+
+// Moves a tool into a collection ('' for none), before another tool or at the end
+async function moveTool(toolId, collection, beforeId = null) {
+    const tool = state.tools.find(t => t.id === toolId);
+    if (!tool || toolId === beforeId) return;
+    
+    const siblings = state.tools
+        .filter(t => !t.deletedAt && t.id !== toolId && (t.collection || '') === collection)
+        .sort(compareToolOrder);
+    const found = siblings.findIndex(t => t.id === beforeId);
+    const index = found >= 0 ? found : siblings.length;
+    
+    if (siblings.some(t => t.order == null)) {
+        await spreadToolOrders(siblings);
+    }
+    
+    let order = getOrderBetween(siblings[index - 1], siblings[index]);
+    if (order === null) {
+        await spreadToolOrders(siblings);
+        order = getOrderBetween(siblings[index - 1], siblings[index]);
+    }
+    
+    if (tool.order === order && (tool.collection || '') === collection) return;
+    
+    tool.collection = collection;
+    tool.order = order;
+    await saveTool(tool);
+}
+
+function setupToolDragAndDrop(toolsGrid) {
+    const isToolDrag = e => [...e.dataTransfer.types].includes('application/x-tool-id');
+    
+    // Dropped tools are shown where they landed
+    const drop = async (e, collection, beforeId) => {
+        e.preventDefault();
+        e.stopPropagation();
+        toolsGrid.querySelectorAll('.drop-target').forEach(el => el.classList.remove('drop-target'));
+        
+        const toolId = e.dataTransfer.getData('application/x-tool-id');
+        if (!toolId) return;
+        
+        document.getElementById('tools-sort').value = 'manual';
+        await moveTool(toolId, collection, beforeId);
+        renderToolsGrid();
+    };
+    
+    toolsGrid.querySelectorAll('.tool-card').forEach(card => {
+        card.addEventListener('dragstart', (e) => {
+            e.dataTransfer.setData('application/x-tool-id', card.dataset.toolId);
+            e.dataTransfer.effectAllowed = 'move';
+            card.classList.add('dragging');
+        });
+        
+        card.addEventListener('dragend', () => card.classList.remove('dragging'));
+        
+        card.addEventListener('dragover', (e) => {
+            if (!isToolDrag(e)) return;
+            e.preventDefault();
+            e.stopPropagation();
+            card.classList.add('drop-target');
+        });
+        
+        card.addEventListener('dragleave', () => card.classList.remove('drop-target'));
+        
+        card.addEventListener('drop', (e) => {
+            const section = card.closest('.tool-collection');
+            drop(e, section ? section.dataset.collection : '', card.dataset.toolId);
+        });
+    });
+    
+    // Dropping on a section outside any card appends to that collection
+    toolsGrid.querySelectorAll('.tool-collection').forEach(section => {
+        section.addEventListener('dragover', (e) => {
+            if (!isToolDrag(e)) return;
+            e.preventDefault();
+            section.classList.add('drop-target');
+        });
+        
+        section.addEventListener('dragleave', (e) => {
+            if (!section.contains(e.relatedTarget)) section.classList.remove('drop-target');
+        });
+        
+        section.addEventListener('drop', (e) => drop(e, section.dataset.collection, null));
+    });
+}
+
+// ========================================
+// Tool Usage Functions
+// ========================================
+
+const USAGE_FIELDS = ['openCount', 'lastOpenedAt', 'usage'];
+// Daily counts older than this are dropped; openCount keeps the total
+const USAGE_HISTORY_DAYS = 30;
+// Tools not opened for this long are listed as dead weight
+const USAGE_STALE_DAYS = 60;
+const USAGE_SINCE_KEY = 'notepad_usage_since';
+
+// Remembers when this device started counting opens
+function startUsageTracking() {
+    const key = window.authModule.userStorageKey(USAGE_SINCE_KEY);
+    if (!localStorage.getItem(key)) {
+        localStorage.setItem(key, new Date().toISOString());
+    }
+}
+
+function getUsageSince() {
+    return localStorage.getItem(window.authModule.userStorageKey(USAGE_SINCE_KEY));
+}
+
+function getUsageDays(days = USAGE_HISTORY_DAYS, now = new Date()) {
+    return Array.from({ length: days }, (_, i) =>
+        toDateKey(new Date(now.getFullYear(), now.getMonth(), now.getDate() - (days - 1 - i))));
+}
+
+// Oldest day first
+function getDailyUsage(tool, now = new Date()) {
+    return getUsageDays(USAGE_HISTORY_DAYS, now).map(day => (tool.usage || {})[day] || 0);
+}
+
+function countRecentOpens(tool, now = new Date()) {
+    return getDailyUsage(tool, now).reduce((sum, count) => sum + count, 0);
+}
+
+// Like link checks, opens are written without a new rev so they are never
+// pushed on their own and never make two copies of a tool conflict
+async function recordToolOpen(toolId) {
+    const tool = state.tools.find(t => t.id === toolId);
+    if (!tool) return;
+    
+    const now = new Date();
+    const days = getUsageDays(USAGE_HISTORY_DAYS, now);
+    const today = days[days.length - 1];
+    
+    const stored = await updateInStore('tools', toolId, item => {
+        const usage = item.usage || {};
+        item.openCount = (item.openCount || 0) + 1;
+        item.lastOpenedAt = now.toISOString();
+        item.usage = Object.fromEntries(days
+            .map(day => [day, (usage[day] || 0) + (day === today ? 1 : 0)])
+            .filter(([, count]) => count > 0));
+    });
+    
+    if (stored) {
+        USAGE_FIELDS.forEach(field => { tool[field] = stored[field]; });
+        renderToolsGrid();
+    }
+}
+
+// Counts ride along when a tool is next pushed. Each device only adds to
+// its own, so the larger count per day is the closest to the truth.
+function mergeToolUsage(record, local) {
+    const usage = { ...local.usage };
+    Object.entries(record.usage || {}).forEach(([day, count]) => {
+        usage[day] = Math.max(usage[day] || 0, count);
+    });
+    
+    record.openCount = Math.max(record.openCount || 0, local.openCount || 0);
+    record.lastOpenedAt = [record.lastOpenedAt, local.lastOpenedAt].filter(Boolean).sort().pop();
+    record.usage = usage;
+    
+    if (!record.openCount) {
+        USAGE_FIELDS.forEach(field => delete record[field]);
+    }
+}
+
+// Records pulled from the server would otherwise wipe opens counted and
+// links checked here
+async function putSyncedRecord(storeName, record) {
+    if (storeName === 'tools') {
+        const local = await getFromStore(storeName, record.id);
+        if (local) {
+            mergeToolUsage(record, local);
+            mergeLinkCheck(record, local);
+        }
+    }
+    return putInStore(storeName, record);
+}
+
+function renderUsageSparkline(counts, width = 90, height = 20) {
+    const max = Math.max(1, ...counts);
+    const step = width / (counts.length - 1);
+    const points = counts
+        .map((count, i) => `${(i * step).toFixed(1)},${(height - 1 - (count / max) * (height - 2)).toFixed(1)}`)
+        .join(' ');
+    
+    return `<svg class="usage-sparkline" viewBox="0 0 ${width} ${height}" width="${width}" height="${height}" aria-hidden="true"><polyline points="${points}"/></svg>`;
+}
+
+function renderToolUsage(tool) {
+    if (!tool.openCount) return '';
+    
+    const recent = countRecentOpens(tool);
+    return `
+        <div class="tool-card-usage" data-testid="tool-usage-${tool.id}"
+             title="Last opened ${new Date(tool.lastOpenedAt).toLocaleString()}">
+            ${renderUsageSparkline(getDailyUsage(tool))}
+            <span>Opened ${tool.openCount}× · ${recent} in ${USAGE_HISTORY_DAYS} days</span>
+        </div>
+    `;
+}
+
+// Tools added before usage was tracked are judged from when tracking began
+function isDeadWeight(tool, now = new Date()) {
+    const since = [tool.lastOpenedAt, tool.createdAt, getUsageSince()].filter(Boolean).sort().pop();
+    return now.getTime() - new Date(since).getTime() >= USAGE_STALE_DAYS * 24 * 60 * 60 * 1000;
+}
+
+function getUsageReport(now = new Date()) {
+    const tools = state.tools.filter(tool => !tool.deletedAt);
+    const used = tools
+        .map(tool => ({ tool, opens: countRecentOpens(tool, now) }))
+        .filter(({ opens }) => opens > 0)
+        .sort((a, b) => b.opens - a.opens);
+    const deadWeight = tools
+        .filter(tool => isDeadWeight(tool, now))
+        .sort((a, b) => (a.lastOpenedAt || '').localeCompare(b.lastOpenedAt || '') || a.name.localeCompare(b.name));
+    
+    return { total: tools.length, used, deadWeight };
+}
+
+function renderUsageDashboard() {
+    const { total, used, deadWeight } = getUsageReport();
+    
+    document.getElementById('usage-summary').textContent =
+        `${used.length} of ${total} tool${total === 1 ? '' : 's'} opened in the last ${USAGE_HISTORY_DAYS} days`;
+    
+    document.getElementById('usage-most-used').innerHTML = used.length === 0
+        ? '<div class="usage-empty">Nothing opened yet</div>'
+        : used.slice(0, 10).map(({ tool, opens }) => `
+            <div class="usage-item" data-testid="usage-used-${tool.id}">
+                ${renderToolIcon(tool)}
+                <div class="usage-item-info">
+                    <div class="usage-item-title">${escapeHtml(tool.name)}</div>
+                    <div class="usage-item-meta">${opens} open${opens === 1 ? '' : 's'} · ${tool.openCount} in total</div>
+                </div>
+                ${renderUsageSparkline(getDailyUsage(tool))}
+            </div>
+        `).join('');
+    
+    document.getElementById('usage-dead-weight').innerHTML = deadWeight.length === 0
+        ? `<div class="usage-empty">No tool has gone unused for ${USAGE_STALE_DAYS} days</div>`
+        : deadWeight.map(tool => `
+            <div class="usage-item" data-testid="usage-dead-${tool.id}">
+                ${renderToolIcon(tool)}
+                <div class="usage-item-info">
+                    <div class="usage-item-title">${escapeHtml(tool.name)}</div>
+                    <div class="usage-item-meta">${tool.lastOpenedAt ? `Last opened ${new Date(tool.lastOpenedAt).toLocaleDateString()}` : 'Never opened'}</div>
+                </div>
+                <button class="btn-secondary usage-trash-btn" data-tool-id="${tool.id}" data-testid="usage-trash-btn-${tool.id}">Move to trash</button>
+            </div>
+        `).join('');
+    
+    document.querySelectorAll('.usage-trash-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            await deleteTool(btn.dataset.toolId);
+            renderUsageDashboard();
+        });
+    });
+}
+
+function showUsageDashboard() {
+    renderUsageDashboard();
+    document.getElementById('usage-modal').classList.add('active');
+}
+
+// ========================================
+// Page Metadata Functions
+// ========================================
+
+// Hosts whose favicon could not be fetched are retried after this long
+const FAVICON_RETRY_MS = 7 * 24 * 60 * 60 * 1000;
+const MAX_AUTOFILL_TAGS = 5;
+
+// Pages are fetched by the backend for the same reason links are checked
+// there. Tests can swap in any object with the same fetch(url) shape via
+// setMetadataTransport().
+const httpMetadataTransport = {
+    async fetch(url) {
+        const response = await fetch(`${AUTH_CONFIG.apiUrl}/metadata?url=${encodeURIComponent(url)}`, {
+            credentials: 'include'
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Metadata fetch failed (${response.status})`);
+        }
+        
+        return response.json();
+    }
+};
+
+let metadataTransport = httpMetadataTransport;
+// Bumped whenever the form moves on, so a late answer for an old URL is dropped
+let autofillRequest = 0;
+
+function setMetadataTransport(transport) {
+    metadataTransport = transport;
+}
+
+function getFaviconKey(url) {
+    try {
+        const parsed = new URL(url);
+        return /^https?:$/.test(parsed.protocol) ? parsed.host : null;
+    } catch {
+        return null;
+    }
+}
+
+async function loadFavicons() {
+    const favicons = await getAllFromStore('favicons');
+    state.favicons = new Map(favicons.map(favicon => [favicon.id, favicon]));
+}
+
+function getFavicon(url) {
+    const favicon = state.favicons.get(getFaviconKey(url));
+    return favicon ? favicon.dataUrl : null;
+}
+
+// A null dataUrl remembers a failed fetch so the host is not asked again
+// on every load
+async function cacheFavicon(url, dataUrl) {
+    const favicon = { id: getFaviconKey(url), dataUrl: dataUrl || null, fetchedAt: new Date().toISOString() };
+    await putInStore('favicons', favicon);
+    state.favicons.set(favicon.id, favicon);
+}
+
+function needsFavicon(url) {
+    const key = getFaviconKey(url);
+    if (!key) return false;
+    
+    const favicon = state.favicons.get(key);
+    return !favicon || (!favicon.dataUrl && Date.now() - new Date(favicon.fetchedAt).getTime() >= FAVICON_RETRY_MS);
+}
+
+function renderToolIcon(tool) {
+    const dataUrl = getFavicon(tool.url);
+    if (dataUrl) {
+        return `<img class="tool-favicon" src="${escapeHtml(dataUrl)}" alt="" data-testid="tool-favicon-${tool.id}">`;
+    }
+    
+    const initial = (tool.name || '?').trim().charAt(0).toUpperCase() || '?';
+    return `<span class="tool-favicon fallback" aria-hidden="true" data-testid="tool-favicon-${tool.id}">${escapeHtml(initial)}</span>`;
+}
+
+// Throws only when the backend itself could not be reached; a page that
+// failed to load comes back with an error field instead
+async function fetchPageMetadata(url) {
+    const metadata = await metadataTransport.fetch(url);
+    await cacheFavicon(url, metadata.error ? null : metadata.favicon);
+    return metadata;
+}
+
+// Reuses the spelling of a tag the user already has
+function toKnownTag(name, known = getKnownTags()) {
+    const lower = name.trim().toLowerCase();
+    return known.find(tag => tag.toLowerCase() === lower) || lower;
+}
+
+function keywordsToTags(keywords) {
+    const known = getKnownTags();
+    const tags = (keywords || []).map(keyword => toKnownTag(keyword, known));
+    return [...new Set(tags)].slice(0, MAX_AUTOFILL_TAGS);
+}
+
+// Only empty fields are filled so nothing the user typed is overwritten.
+// fields is { name, description, tags } and is filled in place.
+function fillEmptyToolFields(fields, metadata) {
+    const filled = [];
+    
+    if (!fields.name.trim() && metadata.title) {
+        fields.name = metadata.title;
+        filled.push('name');
+    }
+    
+    if (!fields.description.trim() && metadata.description) {
+        fields.description = metadata.description;
+        filled.push('description');
+    }
+    
+    const tags = keywordsToTags(metadata.keywords);
+    if (fields.tags.length === 0 && tags.length > 0) {
+        fields.tags = tags;
+        filled.push('tags');
+    }
+    
+    return filled;
+}
+
+function setAutofillStatus(status, message, faviconUrl = null) {
+    const statusEl = document.getElementById('tool-autofill-status');
+    statusEl.className = `tool-autofill-status ${status}`;
+    statusEl.innerHTML = message
+        ? `${faviconUrl ? `<img class="tool-favicon" src="${escapeHtml(faviconUrl)}" alt="">` : ''}${escapeHtml(message)}`
+        : '';
+}
+
+function cancelToolAutofill() {
+    autofillRequest++;
+    setAutofillStatus('hidden', '');
+}
+
+async function autofillToolFromUrl() {
+    const url = document.getElementById('tool-url').value.trim();
+    const request = ++autofillRequest;
+    
+    if (!getFaviconKey(url)) {
+        setAutofillStatus('hidden', '');
+        return;
+    }
+    
+    setAutofillStatus('loading', 'Fetching page details…');
+    
+    let metadata;
+    try {
+        metadata = await fetchPageMetadata(url);
+    } catch (error) {
+        console.error('Metadata fetch error:', error);
+        metadata = { error: navigator.onLine ? 'service unavailable' : 'offline' };
+    }
+    
+    if (request !== autofillRequest) return;
+    
+    if (metadata.error) {
+        setAutofillStatus('error', `Couldn't fetch page details (${metadata.error}). Fill them in by hand.`);
+        return;
+    }
+    
+    // Read the form only now, so anything typed during the fetch is kept
+    const nameInput = document.getElementById('tool-name');
+    const descriptionInput = document.getElementById('tool-description');
+    const fields = { name: nameInput.value, description: descriptionInput.value, tags: toolTagInput.getTags() };
+    const filled = fillEmptyToolFields(fields, metadata);
+    nameInput.value = fields.name;
+    descriptionInput.value = fields.description;
+    if (filled.includes('tags')) {
+        toolTagInput.setTags(fields.tags);
+    }
+    setAutofillStatus('done', filled.length > 0
+        ? `Filled in ${filled.join(', ')} from the page`
+        : 'Page found; your entries were kept', getFavicon(url));
+}
+
+// Icons for tools added elsewhere (another device, an import) or while the
+// page could not be fetched. One host at a time; stops at the first sign
+// the backend is down.
+async function fetchMissingFavicons(urls = state.tools.filter(t => !t.deletedAt).map(t => t.url)) {
+    if (!navigator.onLine) return;
+    
+    const byHost = new Map();
+    urls.filter(needsFavicon).forEach(url => {
+        if (!byHost.has(getFaviconKey(url))) byHost.set(getFaviconKey(url), url);
+    });
+    
+    for (const url of byHost.values()) {
+        try {
+            await fetchPageMetadata(url);
+        } catch (error) {
+            console.error('Favicon fetch error:', error);
+            return;
+        }
+        if (getFavicon(url)) renderToolsGrid();
+    }
+}
+
+// ========================================
+// Link Health Functions
+// ========================================
+
+const LINK_CHECK_BATCH_SIZE = 20;
+// How often scheduled checks look for tools that are due
+const LINK_CHECK_POLL_MS = 60 * 60 * 1000;
+// Check results are bookkeeping rather than edits
+const LINK_CHECK_FIELDS = ['lastCheckedAt', 'statusCode', 'redirectUrl', 'linkError'];
+// The site answered, it just wants a login or fewer requests
+const REACHABLE_ERROR_CODES = [401, 403, 429];
+
+// Browsers cannot read cross-origin responses, so the backend fetches the
+// URLs. Tests can swap in any object with the same check(urls) shape via
+// setLinkCheckTransport().
+const httpLinkTransport = {
+    async check(urls) {
+        const response = await fetch(`${AUTH_CONFIG.apiUrl}/links/check`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ urls })
+        });
+        
+        if (!response.ok) {
+            throw new Error(`Link check failed (${response.status})`);
+        }
+        
+        const data = await response.json();
+        return data.results || [];
+    }
+};
+
+let linkCheckTransport = httpLinkTransport;
+let linkCheckRunning = false;
+let linkCheckTimer = null;
+
+function setLinkCheckTransport(transport) {
+    linkCheckTransport = transport;
+}
+
+function getLinkHealth(tool) {
+    if (!tool.lastCheckedAt) return 'unchecked';
+    if (tool.statusCode >= 300 && tool.statusCode < 400) return 'redirect';
+    if ((tool.statusCode >= 200 && tool.statusCode < 300) || REACHABLE_ERROR_CODES.includes(tool.statusCode)) return 'ok';
+    return 'broken';
+}
+
+function describeLinkHealth(tool) {
+    const checked = tool.lastCheckedAt ? ` · checked ${new Date(tool.lastCheckedAt).toLocaleString()}` : '';
+    
+    switch(getLinkHealth(tool)) {
+        case 'ok':
+            return `Link OK (${tool.statusCode})${checked}`;
+        case 'redirect':
+            return `Redirects (${tool.statusCode}) to ${tool.redirectUrl || 'an unknown location'}${checked}`;
+        case 'broken':
+            return `${tool.statusCode ? `Broken link (${tool.statusCode})` : `Unreachable (${tool.linkError})`}${checked}`;
+        default:
+            return 'Link not checked yet';
+    }
+}
+
+function renderLinkHealthBadge(tool) {
+    const health = getLinkHealth(tool);
+    const icons = { ok: '✅', redirect: '↪️', broken: '❌', unchecked: '🔗' };
+    
+    return `<button class="link-health-btn ${health}" data-tool-id="${tool.id}" data-testid="link-health-${tool.id}"
+                    title="${escapeHtml(describeLinkHealth(tool))}. Click to check now.">${icons[health]}</button>`;
+}
+
+// Written without a new rev, so a check is never pushed on its own or
+// counted as a change when comparing copies
+async function recordLinkCheck(tool, result) {
+    const fields = {
+        lastCheckedAt: new Date().toISOString(),
+        statusCode: result.status ?? null,
+        redirectUrl: result.redirectedTo || null,
+        linkError: result.error || null
+    };
+    
+    await updateInStore('tools', tool.id, item => {
+        Object.assign(item, fields);
+    });
+    Object.assign(tool, fields);
+}
+
+function clearLinkCheck(tool) {
+    LINK_CHECK_FIELDS.forEach(field => delete tool[field]);
+}
+
+// A pulled copy carries whatever its device last checked, often nothing.
+// This device's result stays when it is newer and for the same URL.
+function mergeLinkCheck(record, local) {
+    if (local.url !== record.url || !local.lastCheckedAt) return;
+    if (record.lastCheckedAt && record.lastCheckedAt >= local.lastCheckedAt) return;
+    
+    LINK_CHECK_FIELDS.forEach(field => { record[field] = local[field]; });
+}
+
+async function checkToolLinks(tools, transport = linkCheckTransport) {
+    if (linkCheckRunning || tools.length === 0) return;
+    
+    linkCheckRunning = true;
+    renderLinkCheckButton();
+    
+    try {
+        for (let i = 0; i < tools.length; i += LINK_CHECK_BATCH_SIZE) {
+            const batch = tools.slice(i, i + LINK_CHECK_BATCH_SIZE);
+            const results = await transport.check([...new Set(batch.map(tool => tool.url))]);
+            
+            for (const tool of batch) {
+                const result = results.find(r => r.url === tool.url);
+                if (result) {
+                    await recordLinkCheck(tool, result);
+                }
+            }
+            renderToolsGrid();
+        }
+    } finally {
+        linkCheckRunning = false;
+        renderLinkCheckButton();
+    }
+}
+
+async function checkLinksNow(tools = state.tools.filter(t => !t.deletedAt)) {
+    // A scheduled check may hold the lock; its results are not this click's
+    if (linkCheckRunning) {
+        showToast('Link check already running');
+        return;
+    }
+    
+    try {
+        await checkToolLinks(tools);
+        const broken = tools.filter(tool => getLinkHealth(tool) === 'broken').length;
+        showToast(`Checked ${tools.length} link${tools.length === 1 ? '' : 's'}: ${broken} broken`);
+    } catch (error) {
+        console.error('Link check error:', error);
+        showToast(`Could not check links: ${error.message}`);
+    }
+}
+
+function renderLinkCheckButton() {
+    const btn = document.getElementById('check-links-btn');
+    btn.disabled = linkCheckRunning;
+    btn.textContent = linkCheckRunning ? 'Checking…' : '🔗 Check Links';
+}
+
+// Scheduled checks only visit tools whose last check is older than the
+// chosen interval, so reloading the app does not recheck everything
+async function checkDueLinks() {
+    const interval = Number(state.settings.linkCheckInterval);
+    if (!interval || !navigator.onLine) return;
+    
+    const now = Date.now();
+    const due = state.tools.filter(tool => !tool.deletedAt &&
+        (!tool.lastCheckedAt || now - new Date(tool.lastCheckedAt).getTime() >= interval));
+    
+    try {
+        await checkToolLinks(due);
+    } catch (error) {
+        console.error('Scheduled link check error:', error);
+    }
+}
+
+function scheduleLinkChecks() {
+    stopLinkChecks();
+    if (state.settings.linkCheckInterval === 'off') return;
+    
+    checkDueLinks();
+    linkCheckTimer = setInterval(checkDueLinks, LINK_CHECK_POLL_MS);
+}
+
+function stopLinkChecks() {
+    clearInterval(linkCheckTimer);
+    linkCheckTimer = null;
+}
+
+// ========================================
+// Trash Functions
+// ========================================
+
+function saveRecord(storeName, record) {
+    return storeName === 'notes' ? saveNote(record) : saveTool(record);
+}
+
+function getRecordLabel(storeName, record) {
+    return storeName === 'notes' ? record.title : record.name;
+}
+
+// Deleting only marks the record; it stays restorable until purged
+async function moveToTrash(storeName, record) {
+    record.deletedAt = new Date().toISOString();
+    await saveRecord(storeName, record);
+    
+    showToast(`"${getRecordLabel(storeName, record)}" moved to trash`, {
+        actionLabel: 'Undo',
+        onAction: () => restoreFromTrash(storeName, record.id)
+    });
+}
+
+async function restoreFromTrash(storeName, id) {
+    const record = state[storeName].find(item => item.id === id);
+    if (!record) return;
+    
+    delete record.deletedAt;
+    await saveRecord(storeName, record);
+    renderTrashList();
+}
+
+async function purgeFromTrash(storeName, id) {
+    await deleteFromStore(storeName, id);
+    await recordTombstone(storeName, id);
+    await unindexRecord(storeName, id);
+    
+    if (storeName === 'notes') {
+        await deleteNoteVersions(id);
+    }
+    
+    if (getConflict(id)) {
+        await deleteFromStore('conflicts', id);
+        state.conflicts = state.conflicts.filter(c => c.id !== id);
+    }
+    
+    state[storeName] = state[storeName].filter(item => item.id !== id);
+    window.syncModule.scheduleSync();
+}
+
+function getTrashedItems() {
+    return ['notes', 'tools']
+        .flatMap(storeName => state[storeName]
+            .filter(record => record.deletedAt)
+            .map(record => ({ storeName, record })))
+        .sort((a, b) => new Date(b.record.deletedAt) - new Date(a.record.deletedAt));
+}
+
+// How often an open app looks for trash past the retention period
+const TRASH_PURGE_POLL_MS = 60 * 60 * 1000;
+let trashPurgeTimer = null;
+
+function isTrashExpired(record, now = Date.now()) {
+    const days = state.settings.trashRetentionDays;
+    return days !== 'off' && new Date(record.deletedAt).getTime() < now - parseInt(days) * 24 * 60 * 60 * 1000;
+}
+
+async function purgeExpiredTrash() {
+    const expired = getTrashedItems().filter(item => isTrashExpired(item.record));
+    
+    for (const { storeName, record } of expired) {
+        await purgeFromTrash(storeName, record.id);
+    }
+}
+
+// A tab can stay open for days, so expiry is not left to the next load
+function scheduleTrashPurge() {
+    stopTrashPurge();
+    trashPurgeTimer = setInterval(purgeExpiredTrash, TRASH_PURGE_POLL_MS);
+}
+
+function stopTrashPurge() {
+    clearInterval(trashPurgeTimer);
+    trashPurgeTimer = null;
+}
+
+async function showTrashModal() {
+    await purgeExpiredTrash();
+    renderTrashList();
+    document.getElementById('trash-modal').classList.add('active');
+}
+
+function renderTrashList() {
+    const list = document.getElementById('trash-list');
+    // Expired items are on their way out even before the next purge runs
+    const items = getTrashedItems().filter(item => !isTrashExpired(item.record));
+    
+    document.getElementById('empty-trash-btn').disabled = items.length === 0;
+    
+    if (items.length === 0) {
+        list.innerHTML = '<div class="trash-empty">Trash is empty</div>';
+        return;
+    }
+    
+    const days = state.settings.trashRetentionDays;
+    
+    list.innerHTML = items.map(({ storeName, record }) => {
+        const deletedAt = new Date(record.deletedAt);
+        const purgeNote = days === 'off'
+            ? ''
+            : ` · removed ${new Date(deletedAt.getTime() + parseInt(days) * 24 * 60 * 60 * 1000).toLocaleDateString()}`;
+        
+        return `
+            <div class="trash-item" data-testid="trash-item-${record.id}">
+                <span class="trash-item-icon">${storeName === 'notes' ? '📝' : '🔧'}</span>
+                <div class="trash-item-info">
+                    <div class="trash-item-title">${escapeHtml(getRecordLabel(storeName, record))}</div>
+                    <div class="trash-item-meta">Deleted ${deletedAt.toLocaleString()}${purgeNote}</div>
+                </div>
+                <button class="btn-secondary restore-trash-btn" data-store="${storeName}" data-id="${record.id}" data-testid="restore-trash-btn-${record.id}">Restore</button>
+                <button class="btn-secondary purge-trash-btn" data-store="${storeName}" data-id="${record.id}" data-testid="purge-trash-btn-${record.id}">Delete forever</button>
+            </div>
+        `;
+    }).join('');
+    
+    list.querySelectorAll('.restore-trash-btn').forEach(btn => {
+        btn.addEventListener('click', () => restoreFromTrash(btn.dataset.store, btn.dataset.id));
+    });
+    
+    list.querySelectorAll('.purge-trash-btn').forEach(btn => {
+        btn.addEventListener('click', async () => {
+            if (!confirm('Permanently delete this item? This cannot be undone.')) return;
+            await purgeFromTrash(btn.dataset.store, btn.dataset.id);
+            renderTrashList();
+        });
+    });
+}
+
+async function emptyTrash() {
+    await purgeExpiredTrash();
+    const items = getTrashedItems();
+    if (items.length === 0) return;
+    if (!confirm(`Permanently delete ${items.length} item(s)? This cannot be undone.`)) return;
+    
+    for (const { storeName, record } of items) {
+        await purgeFromTrash(storeName, record.id);
+    }
+    renderTrashList();
+}
+
+// ========================================
+// Search Index
+// ========================================
+
+// Weight of a match in each field when ranking results
+const SEARCH_FIELDS = {
+    notes: { title: 3, tags: 2, content: 1 },
+    tools: { name: 3, tags: 2, description: 1, url: 0.5 }
+};
+
+// Query prefixes that name a field; title: also means a tool's name
+const SEARCH_FIELD_ALIASES = {
+    notes: { title: 'title', content: 'content' },
+    tools: { title: 'name', name: 'name', description: 'description', url: 'url' }
+};
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// One inverted index per store. docs holds each record's term frequencies
+// per field (this is what is persisted); postings maps a term to the ids of
+// the records containing it, and totalLengths the summed length of each
+// field for BM25's averages. Both are kept up to date as docs come and go.
+const searchIndex = {
+    notes: { docs: new Map(), postings: new Map(), totalLengths: {} },
+    tools: { docs: new Map(), postings: new Map(), totalLengths: {} }
+};
+
+function tokenize(text) {
+    return (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+function getFieldText(record, field) {
+    return field === 'tags' ? record.tags.join(' ') : record[field];
+}
+
+// Changes whenever the record is saved locally or replaced by a remote copy
+function getIndexVersion(record) {
+    return `${record.rev}:${record.updatedAt}`;
+}
+
+function buildIndexDoc(storeName, record) {
+    const fields = {};
+    const lengths = {};
+    
+    Object.keys(SEARCH_FIELDS[storeName]).forEach(field => {
+        const tokens = tokenize(getFieldText(record, field));
+        fields[field] = {};
+        tokens.forEach(token => {
+            fields[field][token] = (fields[field][token] || 0) + 1;
+        });
+        lengths[field] = tokens.length;
+    });
+    
+    return {
+        id: `${storeName}:${record.id}`,
+        storeName,
+        recordId: record.id,
+        version: getIndexVersion(record),
+        fields,
+        lengths
+    };
+}
+
+function addIndexDoc(index, doc) {
+    index.docs.set(doc.recordId, doc);
+    Object.entries(doc.lengths).forEach(([field, length]) => {
+        index.totalLengths[field] = (index.totalLengths[field] || 0) + length;
+    });
+    Object.values(doc.fields).forEach(terms => {
+        Object.keys(terms).forEach(term => {
+            if (!index.postings.has(term)) {
+                index.postings.set(term, new Set());
+            }
+            index.postings.get(term).add(doc.recordId);
+        });
+    });
+}
+
+function removeIndexDoc(index, doc) {
+    index.docs.delete(doc.recordId);
+    Object.entries(doc.lengths).forEach(([field, length]) => {
+        index.totalLengths[field] -= length;
+    });
+    Object.values(doc.fields).forEach(terms => {
+        Object.keys(terms).forEach(term => {
+            const ids = index.postings.get(term);
+            if (!ids) return;
+            ids.delete(doc.recordId);
+            if (ids.size === 0) {
+                index.postings.delete(term);
+            }
+        });
+    });
+}
+
+function indexRecord(storeName, record) {
+    const index = searchIndex[storeName];
+    const previous = index.docs.get(record.id);
+    if (previous) {
+        removeIndexDoc(index, previous);
+    }
+    
+    const doc = buildIndexDoc(storeName, record);
+    addIndexDoc(index, doc);
+    return putInStore('search_index', doc);
+}
+
+function unindexRecord(storeName, id) {
+    const index = searchIndex[storeName];
+    const doc = index.docs.get(id);
+    if (!doc) return Promise.resolve();
+    
+    removeIndexDoc(index, doc);
+    return deleteFromStore('search_index', doc.id);
+}
+
+// saveNote and saveTool index as they go; records written by sync, another
+// window, import or a bulk rewrite are handed over here by their writer
+function updateSearchIndex(storeName, updated, removedIds = []) {
+    if (!searchIndex[storeName]) return;
+    
+    updated.forEach(record => indexRecord(storeName, record).catch(error => console.error('Search index error:', error)));
+    removedIds.forEach(id => unindexRecord(storeName, id).catch(error => console.error('Search index error:', error)));
+}
+
+// Catches up with records written while the index was not kept, by their
+// changed version; runs once on load
+function refreshSearchIndex(storeName) {
+    const index = searchIndex[storeName];
+    const ids = new Set();
+    
+    state[storeName].forEach(record => {
+        ids.add(record.id);
+        const doc = index.docs.get(record.id);
+        if (!doc || doc.version !== getIndexVersion(record)) {
+            indexRecord(storeName, record).catch(error => console.error('Search index error:', error));
+        }
+    });
+    
+    [...index.docs.keys()]
+        .filter(id => !ids.has(id))
+        .forEach(id => unindexRecord(storeName, id).catch(error => console.error('Search index error:', error)));
+}
+
+async function loadSearchIndex() {
+    const docs = await getAllFromStore('search_index');
+    
+    Object.values(searchIndex).forEach(index => {
+        index.docs.clear();
+        index.postings.clear();
+        index.totalLengths = {};
+    });
+    
+    docs.forEach(doc => {
+        const index = searchIndex[doc.storeName];
+        if (!index) return;
+        addIndexDoc(index, doc);
+    });
+    
+    refreshSearchIndex('notes');
+    refreshSearchIndex('tools');
+}
+
+// ========================================
+// Search Queries
+// ========================================
+
+// Splits a query into clauses. Supported forms:
+//   word          records containing a word starting with "word"
+//   "some phrase" the words in this order
+//   tag:work      records tagged exactly "work"
+//   title:word    / title:"some phrase" limited to one field
+//   updated:>2026-01-01, created:<=2026-02-01 (also >=, <, = or no operator)
+//   -clause       excludes records matching the clause
+function parseSearchQuery(query) {
+    const clauses = [];
+    const pattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+    let match;
+    
+    while ((match = pattern.exec(query)) !== null) {
+        const [raw, minus, field, phrase, word] = match;
+        const negate = minus === '-';
+        const key = field ? field.toLowerCase() : null;
+        
+        if (key === 'tag' && (phrase || word)) {
+            clauses.push({ type: 'tag', value: (phrase || word).toLowerCase(), negate });
+            continue;
+        }
+        
+        if ((key === 'updated' || key === 'created') && word) {
+            const dateMatch = word.match(/^(>=|<=|>|<|=)?(\d{4}-\d{2}-\d{2})$/);
+            if (dateMatch) {
+                clauses.push({ type: 'date', field: `${key}At`, op: dateMatch[1] || '=', value: dateMatch[2], negate });
+                continue;
+            }
+        }
+        
+        const knownField = key && ['title', 'name', 'content', 'description', 'url'].includes(key);
+        const text = phrase !== undefined ? phrase : (knownField ? word : raw.slice(minus.length));
+        const terms = tokenize(text);
+        if (terms.length === 0) continue;
+        
+        if (phrase !== undefined && terms.length > 1) {
+            clauses.push({ type: 'phrase', field: knownField ? key : null, terms, negate });
+        } else {
+            // A bare word like "https://x.com" tokenizes to several terms,
+            // each of which has to match
+            terms.forEach(term => clauses.push({ type: 'term', field: knownField ? key : null, term, negate }));
+        }
+    }
+    
+    return clauses;
+}
+
+function getHighlightTerms(clauses) {
+    return clauses
+        .filter(clause => !clause.negate)
+        .flatMap(clause => clause.type === 'term' ? [clause.term] : clause.type === 'phrase' ? clause.terms : []);
+}
+
+function resolveSearchFields(storeName, field) {
+    if (!field) return Object.keys(SEARCH_FIELDS[storeName]);
+    const resolved = SEARCH_FIELD_ALIASES[storeName][field];
+    return resolved ? [resolved] : [];
+}
+
+// Index terms a query term stands for: itself, and longer words it starts
+// so results show up while the last word is still being typed
+function expandTerm(index, term) {
+    const expansions = [];
+    index.postings.forEach((ids, indexed) => {
+        if (indexed.startsWith(term)) {
+            expansions.push(indexed);
+        }
+    });
+    return expansions;
+}
+
+function toDateKey(date) {
+    const d = new Date(date);
+    return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+}
+
+function matchesDateClause(record, clause) {
+    const day = toDateKey(record[clause.field]);
+    switch(clause.op) {
+        case '>': return day > clause.value;
+        case '>=': return day >= clause.value;
+        case '<': return day < clause.value;
+        case '<=': return day <= clause.value;
+        default: return day === clause.value;
+    }
+}
+
+function matchesPhrase(storeName, record, clause) {
+    const needle = ` ${clause.terms.join(' ')} `;
+    return resolveSearchFields(storeName, clause.field)
+        .some(field => ` ${tokenize(getFieldText(record, field)).join(' ')} `.includes(needle));
+}
+
+function matchesTerm(storeName, doc, clause, expansions) {
+    return resolveSearchFields(storeName, clause.field)
+        .some(field => expansions.some(term => doc.fields[field][term]));
+}
+
+function scoreDoc(storeName, doc, termWeights, stats) {
+    let score = 0;
+    
+    termWeights.forEach((weight, term) => {
+        const idf = Math.log(1 + (stats.count - stats.df.get(term) + 0.5) / (stats.df.get(term) + 0.5));
+        
+        Object.entries(SEARCH_FIELDS[storeName]).forEach(([field, fieldWeight]) => {
+            const tf = doc.fields[field][term];
+            if (!tf) return;
+            
+            const norm = 1 - BM25_B + BM25_B * doc.lengths[field] / (stats.avgLengths[field] || 1);
+            score += weight * fieldWeight * idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * norm);
+        });
+    });
+    
+    return score;
+}
+
+// Ids that can match every clause, from the posting lists of the words
+// each one needs. A query of only exclusions and dates looks at every record.
+function getSearchCandidates(index, clauses, expansionsByClause) {
+    let candidates = null;
+    
+    clauses.filter(clause => !clause.negate).forEach(clause => {
+        // Each listed group of terms must be matched by at least one of them
+        let groups;
+        if (clause.type === 'term') {
+            groups = [expansionsByClause.get(clause)];
+        } else if (clause.type === 'phrase') {
+            groups = clause.terms.map(term => [term]);
+        } else if (clause.type === 'tag') {
+            groups = tokenize(clause.value).map(term => [term]);
+        } else {
+            return;
+        }
+        
+        groups.forEach(terms => {
+            const ids = new Set();
+            terms.forEach(term => (index.postings.get(term) || []).forEach(id => ids.add(id)));
+            candidates = candidates ? new Set([...candidates].filter(id => ids.has(id))) : ids;
+        });
+    });
+    
+    return candidates || new Set(index.docs.keys());
+}
+
+// Returns a map of matching record id to relevance, or null for an empty query
+function searchRecords(storeName, query) {
+    const clauses = parseSearchQuery(query);
+    if (clauses.length === 0) return null;
+    
+    const index = searchIndex[storeName];
+    const records = new Map(state[storeName].map(record => [record.id, record]));
+    
+    // Exact words rank above the longer words they are a prefix of
+    const termWeights = new Map();
+    const expansionsByClause = new Map();
+    clauses.forEach(clause => {
+        const terms = clause.type === 'term' ? [clause.term] : clause.type === 'phrase' ? clause.terms : [];
+        const expansions = terms.flatMap(term => clause.type === 'term' ? expandTerm(index, term) : [term]);
+        expansionsByClause.set(clause, expansions);
+        
+        if (clause.negate) return;
+        terms.forEach(term => {
+            expansions.filter(expanded => expanded.startsWith(term)).forEach(expanded => {
+                termWeights.set(expanded, Math.max(termWeights.get(expanded) || 0, expanded === term ? 1 : 0.5));
+            });
+        });
+    });
+    
+    const stats = { count: index.docs.size, df: new Map(), avgLengths: {} };
+    termWeights.forEach((weight, term) => stats.df.set(term, (index.postings.get(term) || new Set()).size));
+    Object.keys(SEARCH_FIELDS[storeName]).forEach(field => {
+        stats.avgLengths[field] = index.docs.size ? (index.totalLengths[field] || 0) / index.docs.size : 0;
+    });
+    
+    const scores = new Map();
+    getSearchCandidates(index, clauses, expansionsByClause).forEach(id => {
+        const doc = index.docs.get(id);
+        const record = records.get(id);
+        if (!doc || !record) return;
+        
+        const matches = clauses.every(clause => {
+            let matched;
+            switch(clause.type) {
+                case 'tag':
+                    matched = record.tags.some(tag => tag.toLowerCase() === clause.value);
+                    break;
+                case 'date':
+                    matched = matchesDateClause(record, clause);
+                    break;
+                case 'phrase':
+                    matched = clause.terms.every(term => matchesTerm(storeName, doc, { field: clause.field }, [term])) &&
+                        matchesPhrase(storeName, record, clause);
+                    break;
+                default:
+                    matched = matchesTerm(storeName, doc, clause, expansionsByClause.get(clause));
+            }
+            return clause.negate ? !matched : matched;
+        });
+        
+        if (matches) {
+            scores.set(id, scoreDoc(storeName, doc, termWeights, stats));
+        }
+    });
+    
+    return scores;
+}
+
+// While a search is active results are ranked by relevance, so the sort
+// dropdown says so instead of looking like it still applies
+function renderSearchSortState(sortId, searchId) {
+    const searching = parseSearchQuery(document.getElementById(searchId).value).length > 0;
+    const select = document.getElementById(sortId);
+    select.disabled = searching;
+    select.title = searching ? 'Search results are sorted by relevance' : '';
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Escapes text and wraps the start of every word matching a query term in <mark>
+function highlightText(text, terms) {
+    if (!text || terms.length === 0) return escapeHtml(text || '');
+    
+    const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'giu');
+    let html = '';
+    let last = 0;
+    let match;
+    
+    while ((match = pattern.exec(text)) !== null) {
+        html += escapeHtml(text.slice(last, match.index)) + `<mark>${escapeHtml(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    
+    return html + escapeHtml(text.slice(last));
+}
+
+// A short excerpt of the text, starting near the first matching word
+function makeSnippet(text, terms, length = 60) {
+    let start = 0;
+    if (terms.length > 0) {
+        const pattern = new RegExp(`(?<![\\p{L}\\p{N}])(${terms.map(escapeRegExp).join('|')})`, 'iu');
+        const match = text.match(pattern);
+        if (match && match.index > length / 2) {
+            start = match.index - 20;
+        }
+    }
+    
+    const excerpt = text.substring(start, start + length);
+    return `${start > 0 ? '...' : ''}${excerpt}${start + length < text.length ? '...' : ''}`;
+}
+
+// ========================================
+// Tag Filter Functions
+// ========================================
+
+const TAG_FILTER_MODES = ['and', 'or', 'not'];
+
+// A record passes when it has every AND tag, at least one OR tag (if there
+// are any) and none of the NOT tags
+function matchesTagFilters(tags) {
+    const byMode = mode => state.tagFilters.filter(f => f.mode === mode).map(f => f.tag);
+    const anyOf = byMode('or');
+    
+    return byMode('and').every(tag => tags.includes(tag)) &&
+        (anyOf.length === 0 || anyOf.some(tag => tags.includes(tag))) &&
+        !byMode('not').some(tag => tags.includes(tag));
+}
+
+function applyTagFilters() {
+    renderTagFilter();
+    saveTagFiltersToUrl();
+    
+    if (state.activeTab === 'notes') {
+        renderNotesList();
+    } else {
+        renderToolsGrid();
+    }
+}
+
+// Replaces all active filters with a single tag
+function setTagFilter(tag) {
+    state.tagFilters = [{ tag, mode: 'and' }];
+    applyTagFilters();
+}
+
+function addTagFilter(tag, mode = 'and') {
+    if (state.tagFilters.some(f => f.tag === tag)) return;
+    
+    state.tagFilters.push({ tag, mode });
+    applyTagFilters();
+}
+
+function removeTagFilter(tag) {
+    state.tagFilters = state.tagFilters.filter(f => f.tag !== tag);
+    applyTagFilters();
+}
+
+function cycleTagFilterMode(tag) {
+    const filter = state.tagFilters.find(f => f.tag === tag);
+    if (!filter) return;
+    
+    filter.mode = TAG_FILTER_MODES[(TAG_FILTER_MODES.indexOf(filter.mode) + 1) % TAG_FILTER_MODES.length];
+    applyTagFilters();
+}
+
+function clearTagFilter() {
+    state.tagFilters = [];
+    state.toolNoteFilter = null;
+    applyTagFilters();
+}
+
+function renderTagFilter() {
+    const filterElement = document.getElementById('active-tag-filter');
+    const chips = document.getElementById('active-tag-chips');
+    
+    const tool = state.toolNoteFilter ? state.tools.find(t => t.id === state.toolNoteFilter) : null;
+    
+    if (state.tagFilters.length === 0 && !tool) {
+        filterElement.classList.add('hidden');
+        chips.innerHTML = '';
+        return;
+    }
+    
+    const toolChip = tool ? `
+        <span class="filter-tag filter-tool" data-testid="active-tool-filter">
+            <span class="filter-tag-name">🔧 ${escapeHtml(tool.name)}</span>
+            <button class="remove-filter-btn" id="remove-tool-filter" data-testid="remove-tool-filter" title="Remove filter">×</button>
+        </span>
+    ` : '';
+    
+    chips.innerHTML = toolChip + state.tagFilters.map(({ tag, mode }) => `
+        <span class="filter-tag mode-${mode}" data-testid="active-tag-${escapeHtml(tag)}">
+            <button class="filter-mode-btn" data-tag="${escapeHtml(tag)}" data-testid="tag-filter-mode-${escapeHtml(tag)}" title="Switch between AND, OR and NOT">${mode.toUpperCase()}</button>
+            <span class="filter-tag-name">${escapeHtml(tag)}</span>
+            <button class="remove-filter-btn" data-tag="${escapeHtml(tag)}" data-testid="remove-tag-filter-${escapeHtml(tag)}" title="Remove filter">×</button>
+        </span>
+    `).join('');
+    
+    chips.querySelectorAll('.filter-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => cycleTagFilterMode(btn.dataset.tag));
+    });
+    
+    chips.querySelectorAll('.remove-filter-btn[data-tag]').forEach(btn => {
+        btn.addEventListener('click', () => removeTagFilter(btn.dataset.tag));
+    });
+    
+    if (tool) {
+        document.getElementById('remove-tool-filter').addEventListener('click', clearToolNoteFilter);
+    }
+    
+    filterElement.classList.remove('hidden');
+}
+
+// Filters live in the query string as ?tag=and:client-x&tag=not:infra so a
+// filtered view can be bookmarked
+function saveTagFiltersToUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete('tag');
+    state.tagFilters.forEach(({ tag, mode }) => url.searchParams.append('tag', `${mode}:${tag}`));
+    window.history.replaceState(window.history.state, document.title, url.toString());
+}
+
+function loadTagFiltersFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    
+    state.tagFilters = [];
+    params.getAll('tag').forEach(value => {
+        const separator = value.indexOf(':');
+        const prefix = value.slice(0, separator);
+        const hasMode = separator > 0 && TAG_FILTER_MODES.includes(prefix);
+        const tag = hasMode ? value.slice(separator + 1) : value;
+        
+        if (tag && !state.tagFilters.some(f => f.tag === tag)) {
+            state.tagFilters.push({ tag, mode: hasMode ? prefix : 'and' });
+        }
+    });
+    
+    renderTagFilter();
+}
+
+// ========================================
+// Tag Manager Functions
+// ========================================
+
+const TAG_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+
+// Tag colors live in the synced tags store, one record per colored tag, so
+// they follow the account to other devices. They used to sit in settings.
+async function loadTags() {
+    state.tags = await getAllFromStore('tags');
+    
+    const legacy = state.settings.tagColors;
+    if (!legacy) return;
+    
+    for (const [tag, color] of Object.entries(legacy)) {
+        if (!getTagColor(tag)) {
+            await storeTagColor(tag, color);
+        }
+    }
+    delete state.settings.tagColors;
+    saveSettings();
+}
+
+// Colors come from the color picker, possibly on another device, so
+// anything that does not look like one is ignored
+function getTagColor(tag) {
+    const record = state.tags.find(t => t.id === tag);
+    return record && TAG_COLOR_PATTERN.test(record.color) ? record.color : null;
+}
+
+// Saves a tag's color without re-rendering. Clearing keeps the record with
+// no color, so picking one again later is an edit on the synced rev rather
+// than a new record the server would turn away.
+async function storeTagColor(tag, color) {
+    const existing = state.tags.find(t => t.id === tag);
+    if (!existing && !color) return;
+    
+    const record = existing || { id: tag, rev: 0, createdAt: new Date().toISOString() };
+    record.color = color || null;
+    stampRecord(record);
+    await putInStore('tags', record);
+    if (!existing) {
+        state.tags.push(record);
+    }
+    
+    window.syncModule.scheduleSync();
+}
+
+// Inline style for a .tag chip
+function tagColorStyle(tag) {
+    const color = getTagColor(tag);
+    return color ? ` style="--tag-color: ${color}"` : '';
+}
+
+function tagColorClass(tag) {
+    return tagColorStyle(tag) ? ' colored' : '';
+}
+
+function getTagStats() {
+    const stats = new Map();
+    const count = (tags, key) => tags.forEach(tag => {
+        if (!stats.has(tag)) {
+            stats.set(tag, { tag, notes: 0, tools: 0 });
+        }
+        stats.get(tag)[key]++;
+    });
+    
+    state.notes.filter(n => !n.deletedAt).forEach(note => count(note.tags, 'notes'));
+    state.tools.filter(t => !t.deletedAt).forEach(tool => count(tool.tags, 'tools'));
+    
+    return [...stats.values()].sort((a, b) => a.tag.localeCompare(b.tag));
+}
+
+// Rewrites the tags of every note and tool (trashed ones included) in a
+// single transaction, so a rename or merge is never half applied
+async function rewriteTags(rewrite) {
+    const changed = await updateAllInStores(['notes', 'tools'], record => {
+        const tags = [...new Set(rewrite(record.tags))];
+        if (tags.length === record.tags.length && tags.every((tag, i) => tag === record.tags[i])) {
+            return false;
+        }
+        record.tags = tags;
+        return true;
+    });
+    
+    changed.forEach(({ storeName, record }) => {
+        const index = state[storeName].findIndex(item => item.id === record.id);
+        if (index >= 0) {
+            state[storeName][index] = record;
+        }
+        updateSearchIndex(storeName, [record]);
+        if (storeName === 'notes' && state.currentNote && state.currentNote.id === record.id) {
+            state.currentNote = record;
+            // Keep unsaved edits elsewhere in the editor, but not the old tag
+            noteTagInput.setTags(record.tags);
+        }
+    });
+    
+    if (changed.length > 0) {
+        window.syncModule.scheduleSync();
+    }
+    return changed.length;
+}
+
+// Renaming onto a tag that already exists merges the two. The Merge
+// button has already asked, so it passes merging to skip the confirm.
+async function renameTag(from, to, { merging = false } = {}) {
+    to = to.trim();
+    if (!to || to === from) return;
+    
+    const exists = getTagStats().some(stat => stat.tag === to);
+    if (exists && !merging && !confirm(`"${to}" already exists. Merge "${from}" into it?`)) return;
+    
+    await rewriteTags(tags => tags.map(tag => tag === from ? to : tag));
+    
+    const color = getTagColor(from);
+    if (color && !getTagColor(to)) {
+        await storeTagColor(to, color);
+    }
+    await storeTagColor(from, null);
+    
+    state.tagFilters = state.tagFilters
+        .map(f => f.tag === from ? { ...f, tag: to } : f)
+        .filter((f, i, all) => all.findIndex(other => other.tag === f.tag) === i);
+    
+    refreshAfterTagChange();
+}
+
+async function deleteTag(tag) {
+    const stat = getTagStats().find(s => s.tag === tag);
+    const usage = stat ? `${stat.notes} note(s) and ${stat.tools} tool(s)` : 'no items';
+    if (!confirm(`Remove the tag "${tag}" from ${usage}?`)) return;
+    
+    await rewriteTags(tags => tags.filter(t => t !== tag));
+    
+    await storeTagColor(tag, null);
+    state.tagFilters = state.tagFilters.filter(f => f.tag !== tag);
+    
+    refreshAfterTagChange();
+}
+
+async function setTagColor(tag, color) {
+    await storeTagColor(tag, color);
+    refreshAfterTagChange();
+}
+
+function refreshAfterTagChange() {
+    renderTagFilter();
+    saveTagFiltersToUrl();
+    renderNotesList();
+    renderToolsGrid();
+    if (state.currentNote && !isCurrentNoteDirty()) {
+        renderNoteEditor();
+    }
+    renderTagManager();
+}
+
+function showTagManager() {
+    renderTagManager();
+    document.getElementById('tags-modal').classList.add('active');
+}
+
+function renderTagManager() {
+    const list = document.getElementById('tags-list');
+    const stats = getTagStats();
+    
+    if (stats.length === 0) {
+        list.innerHTML = '<div class="tags-empty">No tags yet</div>';
+        return;
+    }
+    
+    list.innerHTML = stats.map(({ tag, notes, tools }) => `
+        <div class="tag-row" data-testid="tag-row-${escapeHtml(tag)}">
+            <input type="color" class="tag-color-input" data-tag="${escapeHtml(tag)}"
+                   value="${getTagColor(tag) || '#6366f1'}"
+                   data-testid="tag-color-${escapeHtml(tag)}" title="Tag color">
+            <span class="tag${tagColorClass(tag)}"${tagColorStyle(tag)}>${escapeHtml(tag)}</span>
+            <span class="tag-row-counts">${notes} note${notes === 1 ? '' : 's'} · ${tools} tool${tools === 1 ? '' : 's'}</span>
+            <button class="btn-secondary rename-tag-btn" data-tag="${escapeHtml(tag)}" data-testid="rename-tag-btn-${escapeHtml(tag)}">Rename</button>
+            <button class="btn-secondary merge-tag-btn" data-tag="${escapeHtml(tag)}" data-testid="merge-tag-btn-${escapeHtml(tag)}">Merge</button>
+            ${getTagColor(tag) ? `<button class="btn-secondary clear-color-btn" data-tag="${escapeHtml(tag)}" data-testid="clear-tag-color-${escapeHtml(tag)}" title="Remove color">No color</button>` : ''}
+            <button class="btn-secondary delete-tag-btn" data-tag="${escapeHtml(tag)}" data-testid="delete-tag-btn-${escapeHtml(tag)}" title="Delete tag">🗑️</button>
+        </div>
+    `).join('');
+    
+    list.querySelectorAll('.tag-color-input').forEach(input => {
+        input.addEventListener('change', () => setTagColor(input.dataset.tag, input.value));
+    });
+    
+    list.querySelectorAll('.clear-color-btn').forEach(btn => {
+        btn.addEventListener('click', () => setTagColor(btn.dataset.tag, null));
+    });
+    
+    list.querySelectorAll('.rename-tag-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const name = prompt(`Rename "${btn.dataset.tag}" to:`, btn.dataset.tag);
+            if (name !== null) {
+                renameTag(btn.dataset.tag, name);
+            }
+        });
+    });
+    
+    list.querySelectorAll('.merge-tag-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+            const others = stats.map(s => s.tag).filter(tag => tag !== btn.dataset.tag);
+            const target = prompt(`Merge "${btn.dataset.tag}" into which tag?\n\nExisting tags: ${others.join(', ')}`);
+            if (target === null) return;
+            
+            if (!others.includes(target.trim())) {
+                alert(`There is no tag called "${target.trim()}".`);
+                return;
+            }
+            renameTag(btn.dataset.tag, target, { merging: true });
+        });
+    });
+    
+    list.querySelectorAll('.delete-tag-btn').forEach(btn => {
+        btn.addEventListener('click', () => deleteTag(btn.dataset.tag));
+    });
+}
+
+// ========================================
+// Tag Input Widget
+// ========================================
+
+const MAX_TAG_SUGGESTIONS = 8;
+
+let noteTagInput = null;
+let toolTagInput = null;
+
+function levenshtein(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(
+                previous[j] + 1,
+                current[j - 1] + 1,
+                previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+            );
+        }
+        previous = current;
+    }
+    
+    return previous[b.length];
 }
 
-function renderToolsGrid() {
-    const toolsGrid = document.getElementById('tools-grid');
-    const filteredTools = filterAndSortTools();
+// Higher is better; null when the letters of query do not all appear in
+// the tag in order
+function fuzzyScore(query, tag) {
+    const q = query.toLowerCase();
+    const t = tag.toLowerCase();
     
-    if (filteredTools.length === 0) {
-        toolsGrid.innerHTML = '<div style="text-align: center; color: var(--text-tertiary); padding: 2rem; grid-column: 1/-1;">No tools found</div>';
-        return;
+    if (t === q) return 100;
+    if (t.startsWith(q)) return 80 - (t.length - q.length) / 10;
+    if (t.includes(q)) return 60 - t.indexOf(q) / 10;
+    
+    let position = 0;
+    let gaps = 0;
+    for (const char of q) {
+        const found = t.indexOf(char, position);
+        if (found < 0) return null;
+        gaps += found - position;
+        position = found + 1;
     }
+    return 40 - gaps;
+}
+
+// An existing tag that is probably what was meant: the same apart from
+// case, or within a typo or two of it
+function findSimilarTag(tag, existing) {
+    const lower = tag.toLowerCase();
+    const allowed = lower.length <= 4 ? 1 : 2;
     
-    toolsGrid.innerHTML = filteredTools.map(tool => `
-        <div class="tool-card" data-tool-id="${tool.id}" data-testid="tool-card-${tool.id}">
-            <div class="tool-card-header">
-                <div class="tool-card-title">${escapeHtml(tool.name)}</div>
-                <div class="tool-card-actions">
-                    <button class="favorite-btn ${tool.favorite ? 'active' : ''}" 
-                            data-tool-id="${tool.id}"
-                            data-testid="favorite-btn-${tool.id}"
-                            title="Toggle favorite">⭐</button>
-                    <button class="edit-tool-btn" 
-                            data-tool-id="${tool.id}"
-                            data-testid="edit-tool-btn-${tool.id}"
-                            title="Edit">✏️</button>
-                    <button class="delete-tool-btn" 
-                            data-tool-id="${tool.id}"
-                            data-testid="delete-tool-btn-${tool.id}"
-                            title="Delete">🗑️</button>
-                </div>
-            </div>
-            <a href="${escapeHtml(tool.url)}" class="tool-card-url" target="_blank" rel="noopener noreferrer" data-testid="tool-url-${tool.id}">${escapeHtml(tool.url)}</a>
-            ${tool.description ? `<div class="tool-card-description">${escapeHtml(tool.description)}</div>` : ''}
-            ${tool.tags.length > 0 ? `
-                <div class="tool-card-tags">
-                    ${tool.tags.map(tag => `<span class="tag" data-tag="${escapeHtml(tag)}" data-testid="tool-tag-${escapeHtml(tag)}">${escapeHtml(tag)}</span>`).join('')}
-                </div>
-            ` : ''}
+    return existing
+        .filter(other => other !== tag)
+        .map(other => ({ other, distance: levenshtein(lower, other.toLowerCase()) }))
+        .filter(({ distance }) => distance <= allowed)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ other }) => other)[0] || null;
+}
+
+function getKnownTags() {
+    return getTagStats().map(stat => stat.tag);
+}
+
+// Turns an empty container into a chip-style tag editor with autocomplete
+// over every tag in use. Typed text becomes a chip on Enter, Tab, comma or
+// blur. Returns { getTags, setTags }.
+function createTagInput(container, { testId, onChange = () => {} }) {
+    let tags = [];
+    let suggestions = [];
+    let activeIndex = -1;
+    
+    container.classList.add('tag-input');
+    container.innerHTML = `
+        <div class="tag-input-field">
+            <div class="tag-input-chips"></div>
+            <input type="text" class="tag-input-text" placeholder="Add tags..." autocomplete="off"
+                   aria-label="Add tag" aria-autocomplete="list" data-testid="${testId}-text">
         </div>
-    `).join('');
+        <div class="tag-suggestions hidden" role="listbox" data-testid="${testId}-suggestions"></div>
+        <div class="tag-input-warning hidden" data-testid="${testId}-warning"></div>
+    `;
     
-    // Add event listeners
-    toolsGrid.querySelectorAll('.favorite-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            toggleFavorite(btn.dataset.toolId);
+    const chips = container.querySelector('.tag-input-chips');
+    const input = container.querySelector('.tag-input-text');
+    const list = container.querySelector('.tag-suggestions');
+    const warning = container.querySelector('.tag-input-warning');
+    
+    function renderChips() {
+        chips.innerHTML = tags.map(tag => `
+            <span class="tag${tagColorClass(tag)}"${tagColorStyle(tag)} data-testid="${testId}-chip-${escapeHtml(tag)}">
+                ${escapeHtml(tag)}<button class="tag-chip-remove" data-tag="${escapeHtml(tag)}" title="Remove tag" aria-label="Remove ${escapeHtml(tag)}">×</button>
+            </span>
+        `).join('');
+        
+        chips.querySelectorAll('.tag-chip-remove').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                e.stopPropagation();
+                removeTag(btn.dataset.tag);
+            });
         });
-    });
+    }
     
-    toolsGrid.querySelectorAll('.edit-tool-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            editTool(btn.dataset.toolId);
+    function renderSuggestions() {
+        const query = input.value.trim();
+        suggestions = query
+            ? getKnownTags()
+                .filter(tag => !tags.includes(tag))
+                .map(tag => ({ tag, score: fuzzyScore(query, tag) }))
+                .filter(({ score }) => score !== null)
+                .sort((a, b) => b.score - a.score)
+                .slice(0, MAX_TAG_SUGGESTIONS)
+                .map(({ tag }) => tag)
+            : [];
+        activeIndex = Math.min(activeIndex, suggestions.length - 1);
+        
+        if (suggestions.length === 0) {
+            list.classList.add('hidden');
+            list.innerHTML = '';
+            return;
+        }
+        
+        list.innerHTML = suggestions.map((tag, i) => `
+            <div class="tag-suggestion ${i === activeIndex ? 'active' : ''}" role="option"
+                 aria-selected="${i === activeIndex}" data-index="${i}" data-testid="${testId}-suggestion-${escapeHtml(tag)}">${escapeHtml(tag)}</div>
+        `).join('');
+        list.classList.remove('hidden');
+        
+        list.querySelectorAll('.tag-suggestion').forEach(item => {
+            // mousedown rather than click so the input does not blur first
+            item.addEventListener('mousedown', (e) => {
+                e.preventDefault();
+                addTag(suggestions[parseInt(item.dataset.index)]);
+            });
         });
-    });
+    }
     
-    toolsGrid.querySelectorAll('.delete-tool-btn').forEach(btn => {
-        btn.addEventListener('click', (e) => {
-            e.stopPropagation();
-            deleteTool(btn.dataset.toolId);
+    function showWarning(tag, similar) {
+        warning.innerHTML = `
+            "${escapeHtml(tag)}" looks like the existing tag "${escapeHtml(similar)}".
+            <button class="tag-warning-use" data-testid="${testId}-use-similar">Use "${escapeHtml(similar)}"</button>
+        `;
+        warning.classList.remove('hidden');
+        
+        warning.querySelector('.tag-warning-use').addEventListener('click', () => {
+            tags = tags.map(t => t === tag ? similar : t).filter((t, i, all) => all.indexOf(t) === i);
+            hideWarning();
+            renderChips();
+            onChange(tags);
         });
+    }
+    
+    function hideWarning() {
+        warning.classList.add('hidden');
+        warning.innerHTML = '';
+    }
+    
+    function addTag(value) {
+        const tag = (value || '').trim();
+        input.value = '';
+        activeIndex = -1;
+        renderSuggestions();
+        if (!tag || tags.includes(tag)) return;
+        
+        const known = getKnownTags();
+        const similar = known.includes(tag) ? null : findSimilarTag(tag, known);
+        
+        tags.push(tag);
+        renderChips();
+        if (similar) {
+            showWarning(tag, similar);
+        } else {
+            hideWarning();
+        }
+        onChange(tags);
+    }
+    
+    function removeTag(tag) {
+        tags = tags.filter(t => t !== tag);
+        hideWarning();
+        renderChips();
+        onChange(tags);
+    }
+    
+    input.addEventListener('input', () => {
+        // Typing or pasting a comma commits everything before it
+        if (input.value.includes(',')) {
+            const parts = input.value.split(',');
+            const rest = parts.pop();
+            parts.forEach(part => addTag(part));
+            input.value = rest.trimStart();
+        }
+        activeIndex = -1;
+        renderSuggestions();
     });
     
-    toolsGrid.querySelectorAll('.tag').forEach(tag => {
-        tag.addEventListener('click', (e) => {
-            e.stopPropagation();
-            setTagFilter(tag.dataset.tag);
-        });
+    input.addEventListener('keydown', (e) => {
+        switch(e.key) {
+            case 'ArrowDown':
+                if (suggestions.length === 0) return;
+                e.preventDefault();
+                activeIndex = (activeIndex + 1) % suggestions.length;
+                renderSuggestions();
+                break;
+            case 'ArrowUp':
+                if (suggestions.length === 0) return;
+                e.preventDefault();
+                activeIndex = activeIndex <= 0 ? suggestions.length - 1 : activeIndex - 1;
+                renderSuggestions();
+                break;
+            case 'Enter':
+            case 'Tab':
+                if (!input.value.trim() && activeIndex < 0) return;
+                e.preventDefault();
+                addTag(activeIndex >= 0 ? suggestions[activeIndex] : input.value);
+                break;
+            case 'Escape':
+                if (suggestions.length === 0) return;
+                e.stopPropagation();
+                suggestions = [];
+                list.classList.add('hidden');
+                break;
+            case 'Backspace':
+                if (input.value === '' && tags.length > 0) {
+                    removeTag(tags[tags.length - 1]);
+                }
+                break;
+        }
+    });
+    
+    input.addEventListener('blur', () => {
+        if (input.value.trim()) {
+            addTag(input.value);
+        }
+        list.classList.add('hidden');
     });
+    
+    container.querySelector('.tag-input-field').addEventListener('click', () => input.focus());
+    
+    return {
+        getTags: () => [...tags],
+        setTags(newTags) {
+            tags = [...newTags];
+            input.value = '';
+            hideWarning();
+            renderSuggestions();
+            renderChips();
+        }
+    };
 }
 
-function showToolModal(tool = null) {
-    state.editingTool = tool || createTool();
+// ========================================
+// Sync Integration
+// ========================================
+
+// Deletions are kept as tombstones until the sync engine has pushed them
+function recordTombstone(storeName, id) {
+    return putInStore('tombstones', {
+        id,
+        storeName,
+        deletedAt: new Date().toISOString()
+    });
+}
+
+async function getTombstones(storeName) {
+    const tombstones = await getAllFromStore('tombstones');
+    return tombstones.filter(t => t.storeName === storeName);
+}
+
+async function clearTombstones(ids) {
+    for (const id of ids) {
+        await deleteFromStore('tombstones', id);
+    }
+}
+
+async function markSynced(storeName, id, rev) {
+    // An edit saved while the push was out stays dirty, but is now based on
+    // the rev the server confirmed, not the one before it
+    await updateInStore(storeName, id, item => {
+        if (item.rev < rev) return false;
+        item.syncedRev = rev;
+    });
     
-    document.getElementById('tool-modal-title').textContent = tool ? 'Edit Tool' : 'Add Tool';
-    document.getElementById('tool-name').value = state.editingTool.name;
-    document.getElementById('tool-url').value = state.editingTool.url;
-    document.getElementById('tool-description').value = state.editingTool.description;
-    document.getElementById('tool-tags').value = state.editingTool.tags.join(', ');
+    const cached = state[storeName].find(item => item.id === id);
+    if (cached && cached.rev >= rev) {
+        cached.syncedRev = rev;
+    }
+}
+
+function applyRemoteChanges(storeName, updated, removedIds) {
+    // A remote copy that was applied supersedes any conflict for that record
+    const settled = state.conflicts.filter(c => updated.some(r => r.id === c.id) || removedIds.includes(c.id));
+    settled.forEach(c => deleteFromStore('conflicts', c.id));
+    state.conflicts = state.conflicts.filter(c => !settled.includes(c));
     
-    document.getElementById('tool-modal').classList.add('active');
+    applyStoreChanges(storeName, updated, removedIds);
 }
 
-function hideToolModal() {
-    document.getElementById('tool-modal').classList.remove('active');
-    state.editingTool = null;
+// Brings state and the UI up to date with records already written to the
+// store, whether by sync or by another window
+function applyStoreChanges(storeName, updated, removedIds) {
+    updateSearchIndex(storeName, updated, removedIds);
+    
+    for (const record of updated) {
+        const index = state[storeName].findIndex(item => item.id === record.id);
+        if (index >= 0) {
+            state[storeName][index] = record;
+        } else {
+            state[storeName].push(record);
+        }
+    }
+    state[storeName] = state[storeName].filter(item => !removedIds.includes(item.id));
+    
+    if (storeName === 'notes') {
+        state.editorTabs
+            .filter(tab => removedIds.includes(tab.noteId) || updated.some(n => n.id === tab.noteId && n.deletedAt))
+            .forEach(tab => closeEditorTab(tab.noteId, { save: false }));
+        
+        if (state.currentNote && !isCurrentNoteDirty()) {
+            // Unsaved local edits win; they will be pushed with a newer updatedAt
+            const remote = updated.find(n => n.id === state.currentNote.id);
+            if (remote) {
+                state.currentNote = remote;
+                renderNoteEditor();
+            }
+        }
+        if (updated.some(n => n.id === state.splitNoteId) && !isNoteDirty(state.splitNoteId)) {
+            renderSplitPane();
+        }
+        renderNotesList();
+        renderFolderTree();
+        scheduleReminders();
+    } else if (storeName === 'templates') {
+        if (document.getElementById('template-editor-modal').classList.contains('active')) {
+            renderTemplateEditor();
+        }
+    } else if (storeName === 'folders') {
+        if (state.activeFolderId && !getFolder(state.activeFolderId)) {
+            state.activeFolderId = null;
+        }
+        renderFolderTree();
+        renderNotesList();
+    } else if (storeName === 'tags') {
+        refreshAfterTagChange();
+    } else {
+        renderToolsGrid();
+    }
+    
+    if (document.getElementById('trash-modal').classList.contains('active')) {
+        renderTrashList();
+    }
 }
 
-function saveToolFromModal() {
-    const name = document.getElementById('tool-name').value.trim();
-    const url = document.getElementById('tool-url').value.trim();
+const syncAdapter = {
+    getAll: getAllFromStore,
+    get: getFromStore,
+    put: putSyncedRecord,
+    remove: deleteFromStore,
+    getTombstones,
+    clearTombstones,
+    markSynced,
+    compareRevisions,
+    recordConflict,
+    getConflictIds: async (storeName) => state.conflicts.filter(c => c.storeName === storeName).map(c => c.id),
+    onRemoteChanges: applyRemoteChanges
+};
+
+// ========================================
+// Cross-window Coordination
+// ========================================
+
+// Windows of the app in the same browser share one database. Each window
+// tells the others which records it wrote and which notes it has unsaved
+// edits to, so their state stays live and edits elsewhere show a soft lock.
+const BROADCAST_STORES = ['notes', 'tools', 'folders', 'templates', 'tags', 'conflicts'];
+const EDIT_HEARTBEAT_MS = 4000;
+const EDIT_LOCK_TTL_MS = 10000;
+
+const windowId = crypto.randomUUID();
+let windowChannel = null;
+let editHeartbeatTimer = null;
+let broadcastTimer = null;
+const pendingBroadcasts = new Map();
+// windowId -> { noteIds, at } for every other window with unsaved edits
+const remoteEditors = new Map();
+let lockedNoteKey = '';
+
+function postWindowMessage(message) {
+    if (windowChannel) {
+        windowChannel.postMessage({ ...message, from: windowId });
+    }
+}
+
+// Writes are batched per store and announced once the current task ends
+function notifyOtherWindows(storeName, ids) {
+    if (!windowChannel || !BROADCAST_STORES.includes(storeName) || ids.length === 0) return;
     
-    if (!name || !url) {
-        alert('Name and URL are required');
-        return;
+    if (!pendingBroadcasts.has(storeName)) {
+        pendingBroadcasts.set(storeName, new Set());
     }
+    ids.forEach(id => pendingBroadcasts.get(storeName).add(id));
     
-    state.editingTool.name = name;
-    state.editingTool.url = url;
-    state.editingTool.description = document.getElementById('tool-description').value.trim();
+    clearTimeout(broadcastTimer);
+    broadcastTimer = setTimeout(() => {
+        pendingBroadcasts.forEach((changedIds, name) => {
+            postWindowMessage({ type: 'changed', storeName: name, ids: [...changedIds] });
+        });
+        pendingBroadcasts.clear();
+    }, 0);
+}
+
+function broadcastEditing() {
+    postWindowMessage({
+        type: 'editing',
+        noteIds: state.editorTabs.filter(tab => tab.isDirty).map(tab => tab.noteId)
+    });
+}
+
+async function handleWindowMessage({ data }) {
+    if (!db || data.from === windowId) return;
     
-    const tagsInput = document.getElementById('tool-tags').value;
-    state.editingTool.tags = tagsInput
-        .split(',')
-        .map(t => t.trim())
-        .filter(t => t.length > 0);
+    if (data.type === 'editing') {
+        remoteEditors.set(data.from, { noteIds: data.noteIds, at: Date.now() });
+        renderEditLocks();
+    } else if (data.type === 'changed') {
+        await applyWindowChanges(data.storeName, data.ids);
+    }
+}
+
+async function applyWindowChanges(storeName, ids) {
+    if (storeName === 'conflicts') {
+        await loadConflicts();
+        renderNotesList();
+        renderToolsGrid();
+        if (state.currentNote) {
+            renderConflictBanner();
+        }
+        return;
+    }
     
-    saveTool(state.editingTool);
-    hideToolModal();
+    // Read back what the other window wrote rather than trusting the message
+    const records = await Promise.all(ids.map(id => getFromStore(storeName, id)));
+    const updated = records.filter(Boolean);
+    const removedIds = ids.filter((id, i) => !records[i]);
+    applyStoreChanges(storeName, updated, removedIds);
 }
 
-function editTool(toolId) {
-    const tool = state.tools.find(t => t.id === toolId);
-    if (tool) {
-        showToolModal(tool);
+// A save that found a newer copy in the store keeps the local edits and
+// parks the other copy. A clean copy is a server revision, so it is
+// resolved like any other sync conflict.
+function recordStaleWrite(storeName, stored) {
+    return recordConflict(storeName, stored, stored.rev === stored.syncedRev ? 'sync' : 'window');
+}
+
+function isEditedElsewhere(noteId) {
+    const cutoff = Date.now() - EDIT_LOCK_TTL_MS;
+    return [...remoteEditors.values()].some(entry => entry.at >= cutoff && entry.noteIds.includes(noteId));
+}
+
+function renderEditLocks() {
+    // Windows that closed without saying so drop out after the TTL
+    const cutoff = Date.now() - EDIT_LOCK_TTL_MS;
+    remoteEditors.forEach((entry, id) => {
+        if (entry.at < cutoff) remoteEditors.delete(id);
+    });
+    
+    const locked = state.currentNote && isEditedElsewhere(state.currentNote.id);
+    document.getElementById('note-lock-banner').classList.toggle('hidden', !locked);
+    
+    // The list only needs redrawing when the set of locked notes changes
+    const key = [...new Set([...remoteEditors.values()].flatMap(entry => entry.noteIds))].sort().join();
+    if (key !== lockedNoteKey) {
+        lockedNoteKey = key;
+        renderNotesList();
+        renderEditorTabs();
     }
 }
 
+function initWindowChannel() {
+    if (typeof BroadcastChannel === 'undefined') return;
+    
+    windowChannel = new BroadcastChannel(window.authModule.userStorageKey('notepad_windows'));
+    windowChannel.addEventListener('message', handleWindowMessage);
+    
+    editHeartbeatTimer = setInterval(() => {
+        if (state.editorTabs.some(tab => tab.isDirty)) {
+            broadcastEditing();
+        }
+        renderEditLocks();
+    }, EDIT_HEARTBEAT_MS);
+    
+    window.addEventListener('pagehide', releaseEditLocks);
+}
+
+function releaseEditLocks() {
+    postWindowMessage({ type: 'editing', noteIds: [] });
+}
+
+function closeWindowChannel() {
+    if (!windowChannel) return;
+    
+    releaseEditLocks();
+    clearInterval(editHeartbeatTimer);
+    clearTimeout(broadcastTimer);
+    window.removeEventListener('pagehide', releaseEditLocks);
+    windowChannel.close();
+    windowChannel = null;
+    editHeartbeatTimer = null;
+    pendingBroadcasts.clear();
+    remoteEditors.clear();
+}
+
 // ========================================
-// Tag Filter Functions
+// Conflict Resolution
 // ========================================
 
-function setTagFilter(tag) {
-    state.activeTagFilter = tag;
-    renderTagFilter();
+const CONFLICT_SOURCE_LABELS = {
+    sync: 'From another device',
+    window: 'From another tab',
+    import: 'From import'
+};
+
+// Stores whose conflicts are settled automatically in favour of the server
+const SERVER_WINS_STORES = ['folders', 'templates', 'tags'];
+
+// Fields that describe a revision rather than the record's content
+const REVISION_FIELDS = ['id', 'rev', 'syncedRev', 'createdAt', 'updatedAt'];
+
+function recordsMatch(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key =>
+        REVISION_FIELDS.includes(key) || LINK_CHECK_FIELDS.includes(key) || USAGE_FIELDS.includes(key) ||
+        JSON.stringify(a[key]) === JSON.stringify(b[key])
+    );
+}
+
+// Decide how an incoming copy of a record relates to the local one.
+// syncedRev is the last rev the server confirmed for a copy, and server revs
+// only grow along a record's history, so an unedited copy at rev N is an
+// ancestor of any copy whose syncedRev is N or later.
+function compareRevisions(local, incoming) {
+    if (recordsMatch(local, incoming)) return 'same';
     
-    if (state.activeTab === 'notes') {
+    const localClean = local.rev === local.syncedRev;
+    const incomingClean = incoming.rev === incoming.syncedRev;
+    
+    if (localClean && incoming.syncedRev >= local.rev) return 'incoming';
+    if (incomingClean && local.syncedRev >= incoming.rev) return 'local';
+    
+    return 'conflict';
+}
+
+async function loadConflicts() {
+    state.conflicts = await getAllFromStore('conflicts');
+}
+
+function getConflict(recordId) {
+    return state.conflicts.find(c => c.id === recordId);
+}
+
+// The local record stays untouched; the other version is parked until the
+// user picks mine, theirs or a merge
+async function recordConflict(storeName, theirs, source) {
+    const local = await getFromStore(storeName, theirs.id);
+    if (!local) return;
+    
+    // Folders and templates have no conflict view; they are small enough
+    // that the server copy simply wins
+    if (source === 'sync' && SERVER_WINS_STORES.includes(storeName)) {
+        await putInStore(storeName, theirs);
+        applyRemoteChanges(storeName, [theirs], []);
+        return;
+    }
+    
+    // Both sides made the same edit; just adopt the server revision
+    if (source === 'sync' && recordsMatch(local, theirs)) {
+        await putInStore(storeName, theirs);
+        applyRemoteChanges(storeName, [theirs], []);
+        return;
+    }
+    
+    const conflict = {
+        id: theirs.id,
+        storeName,
+        theirs,
+        source,
+        detectedAt: new Date().toISOString()
+    };
+    await putInStore('conflicts', conflict);
+    
+    state.conflicts = state.conflicts.filter(c => c.id !== conflict.id);
+    state.conflicts.push(conflict);
+    
+    if (storeName === 'notes') {
         renderNotesList();
+        if (state.currentNote && state.currentNote.id === conflict.id) {
+            renderConflictBanner();
+        }
     } else {
         renderToolsGrid();
     }
 }
 
-function clearTagFilter() {
-    state.activeTagFilter = null;
-    renderTagFilter();
+async function resolveConflict(recordId, choice, merged = null) {
+    const conflict = getConflict(recordId);
+    if (!conflict) return;
     
-    if (state.activeTab === 'notes') {
-        renderNotesList();
+    const { storeName, theirs } = conflict;
+    const local = state[storeName].find(r => r.id === recordId) || theirs;
+    let resolved;
+    
+    if (choice === 'theirs' && conflict.source === 'sync') {
+        // Already a server revision, nothing left to push
+        resolved = { ...theirs };
+    } else {
+        resolved = { ...(choice === 'theirs' ? theirs : local), ...merged };
+        // Outrank both sides; for sync conflicts the server copy becomes the base
+        resolved.rev = Math.max(local.rev || 0, theirs.rev || 0) + 1;
+        resolved.syncedRev = conflict.source === 'sync' ? theirs.syncedRev : local.syncedRev;
+        resolved.updatedAt = new Date().toISOString();
+    }
+    
+    if (storeName === 'notes') {
+        await snapshotNoteVersion(local);
+    }
+    
+    await putInStore(storeName, resolved);
+    updateSearchIndex(storeName, [resolved]);
+    await deleteFromStore('conflicts', recordId);
+    state.conflicts = state.conflicts.filter(c => c.id !== recordId);
+    
+    const index = state[storeName].findIndex(r => r.id === recordId);
+    if (index >= 0) {
+        state[storeName][index] = resolved;
+    } else {
+        state[storeName].push(resolved);
+    }
+    
+    if (storeName === 'notes') {
+        if (state.currentNote && state.currentNote.id === recordId) {
+            state.currentNote = resolved;
+            setNoteDirty(recordId, false);
+            hideConflictView();
+            renderNoteEditor();
+        } else {
+            renderNotesList();
+        }
     } else {
         renderToolsGrid();
     }
+    
+    window.syncModule.scheduleSync();
+}
+
+function renderConflictBanner() {
+    const banner = document.getElementById('note-conflict-banner');
+    const conflict = state.currentNote && getConflict(state.currentNote.id);
+    banner.classList.toggle('hidden', !conflict);
+    
+    if (!conflict) {
+        hideConflictView();
+    }
+}
+
+function renderDiffPane(element, ops, hiddenType, changedClass) {
+    element.innerHTML = ops
+        .filter(op => op.type !== hiddenType)
+        .map(op => `<div${op.type === 'same' ? '' : ` class="${changedClass}"`}>${escapeHtml(op.line) || '&nbsp;'}</div>`)
+        .join('');
+}
+
+function openConflictView() {
+    const conflict = state.currentNote && getConflict(state.currentNote.id);
+    if (!conflict) return;
+    
+    if (isCurrentNoteDirty()) {
+        saveCurrentNote();
+    }
+    
+    const mine = state.currentNote;
+    const theirs = conflict.theirs;
+    const ops = diffLines(mine.content, theirs.content);
+    
+    document.getElementById('conflict-mine-title').textContent = mine.title;
+    document.getElementById('conflict-theirs-title').textContent = theirs.title;
+    renderDiffPane(document.getElementById('conflict-mine-content'), ops, 'added', 'diff-removed');
+    renderDiffPane(document.getElementById('conflict-theirs-content'), ops, 'removed', 'diff-added');
+    document.getElementById('conflict-theirs-source').textContent =
+        `${CONFLICT_SOURCE_LABELS[conflict.source]}, ${new Date(theirs.updatedAt).toLocaleString()}`;
+    
+    // Start the merge from every line of both versions in document order
+    document.getElementById('conflict-merged-title').value = mine.title;
+    document.getElementById('conflict-merged-content').value = ops.map(op => op.line).join('\n');
+    
+    document.getElementById('conflict-view').classList.remove('hidden');
+    document.getElementById('editor-content').classList.add('resolving-conflict');
+}
+
+function hideConflictView() {
+    document.getElementById('conflict-view').classList.add('hidden');
+    document.getElementById('editor-content').classList.remove('resolving-conflict');
 }
 
-function renderTagFilter() {
-    const filterElement = document.getElementById('active-tag-filter');
-    const tagName = document.getElementById('active-tag-name');
+function resolveNoteConflictWithMerge() {
+    const mine = state.currentNote;
+    const conflict = getConflict(mine.id);
     
-    if (state.activeTagFilter) {
-        tagName.textContent = state.activeTagFilter;
-        filterElement.classList.remove('hidden');
-    } else {
-        filterElement.classList.add('hidden');
-    }
+    resolveConflict(mine.id, 'merged', {
+        title: document.getElementById('conflict-merged-title').value || 'Untitled Note',
+        content: document.getElementById('conflict-merged-content').value,
+        tags: [...new Set([...mine.tags, ...conflict.theirs.tags])]
+    });
+}
+
+function showToolConflictModal(toolId) {
+    const conflict = getConflict(toolId);
+    const mine = state.tools.find(t => t.id === toolId);
+    if (!conflict || !mine) return;
+    
+    const describe = (tool) => `
+        <div class="conflict-field"><span>Name</span>${escapeHtml(tool.name)}</div>
+        <div class="conflict-field"><span>URL</span>${escapeHtml(tool.url)}</div>
+        <div class="conflict-field"><span>Description</span>${escapeHtml(tool.description) || '—'}</div>
+        <div class="conflict-field"><span>Tags</span>${escapeHtml(tool.tags.join(', ')) || '—'}</div>
+    `;
+    
+    document.getElementById('tool-conflict-mine').innerHTML = describe(mine);
+    document.getElementById('tool-conflict-theirs').innerHTML = describe(conflict.theirs);
+    
+    const modal = document.getElementById('tool-conflict-modal');
+    modal.dataset.toolId = toolId;
+    modal.classList.add('active');
+}
+
+function resolveToolConflict(choice) {
+    const modal = document.getElementById('tool-conflict-modal');
+    resolveConflict(modal.dataset.toolId, choice);
+    modal.classList.remove('active');
 }
 
 // ========================================
@@ -639,6 +5352,9 @@ function exportData() {
     const data = {
         notes: state.notes,
         tools: state.tools,
+        folders: state.folders,
+        templates: state.templates,
+        tags: state.tags,
         exportedAt: new Date().toISOString()
     };
     
@@ -664,6 +5380,12 @@ async function handleImportFile(event) {
     
     try {
         const text = await file.text();
+        
+        if (isBookmarkFile(file.name, text)) {
+            await importBookmarks(text);
+            return;
+        }
+        
         const data = JSON.parse(text);
         
         // Validate data structure
@@ -672,15 +5394,26 @@ async function handleImportFile(event) {
             return;
         }
         
+        let conflictCount = 0;
+        
         // Merge/upsert notes
         for (const note of data.notes) {
+            note.rev = note.rev || 1;
             const existing = state.notes.find(n => n.id === note.id);
             if (existing) {
-                // Update existing
-                Object.assign(existing, note);
-                await putInStore('notes', existing);
+                // Update existing only when it is an ancestor of the import
+                const outcome = compareRevisions(existing, note);
+                if (outcome === 'incoming') {
+                    await snapshotNoteVersion(existing);
+                    Object.assign(existing, note);
+                    await putInStore('notes', existing);
+                } else if (outcome === 'conflict') {
+                    await recordConflict('notes', note, 'import');
+                    conflictCount++;
+                }
             } else {
-                // Add new
+                // Add new; it was never synced under this account, so push it
+                delete note.syncedRev;
                 await putInStore('notes', note);
                 state.notes.push(note);
             }
@@ -688,30 +5421,238 @@ async function handleImportFile(event) {
         
         // Merge/upsert tools
         for (const tool of data.tools) {
+            tool.rev = tool.rev || 1;
             const existing = state.tools.find(t => t.id === tool.id);
             if (existing) {
-                // Update existing
-                Object.assign(existing, tool);
-                await putInStore('tools', existing);
+                const outcome = compareRevisions(existing, tool);
+                if (outcome === 'incoming') {
+                    Object.assign(existing, tool);
+                    await putInStore('tools', existing);
+                } else if (outcome === 'conflict') {
+                    await recordConflict('tools', tool, 'import');
+                    conflictCount++;
+                }
             } else {
-                // Add new
+                // Add new; it was never synced under this account, so push it
+                delete tool.syncedRev;
                 await putInStore('tools', tool);
                 state.tools.push(tool);
             }
         }
         
+        // Merge/upsert folders, templates and tag colors (older exports lack them)
+        for (const storeName of ['folders', 'templates', 'tags']) {
+            for (const record of data[storeName] || []) {
+                record.rev = record.rev || 1;
+                const existing = state[storeName].find(item => item.id === record.id);
+                if (existing) {
+                    if (compareRevisions(existing, record) === 'incoming') {
+                        Object.assign(existing, record);
+                        await putInStore(storeName, existing);
+                    }
+                } else {
+                    delete record.syncedRev;
+                    await putInStore(storeName, record);
+                    state[storeName].push(record);
+                }
+            }
+        }
+        
+        // Imported records bypass saveNote/saveTool; index them in one pass
+        refreshSearchIndex('notes');
+        refreshSearchIndex('tools');
+        
         // Re-render
+        renderFolderTree();
         renderNotesList();
         renderToolsGrid();
+        window.syncModule.scheduleSync();
         
-        alert(`Import successful! Imported ${data.notes.length} notes and ${data.tools.length} tools.`);
+        const conflictMessage = conflictCount > 0
+            ? `\n${conflictCount} item(s) were edited in both places and need to be resolved (marked with ⚠️).`
+            : '';
+        alert(`Import successful! Imported ${data.notes.length} notes and ${data.tools.length} tools.${conflictMessage}`);
     } catch (error) {
         console.error('Import error:', error);
         alert('Failed to import data. Please check the file format.');
+    } finally {
+        // Reset file input so the same file can be picked again
+        event.target.value = '';
+    }
+}
+
+// ========================================
+// Bookmark Import/Export Functions
+// ========================================
+
+// The Netscape bookmark format every browser imports and exports. Folders
+// nest as <DT><H3>name</H3><DL>...</DL>; links are <DT><A HREF>.
+const BOOKMARK_DOCTYPE = '<!DOCTYPE NETSCAPE-Bookmark-file-1>';
+// Query parameters that only track where a link was shared
+const TRACKING_PARAM_PATTERN = /^(utm_\w+|fbclid|gclid)$/i;
+
+function isBookmarkFile(fileName, text) {
+    return /\.html?$/i.test(fileName) || text.trimStart().toUpperCase().startsWith(BOOKMARK_DOCTYPE.toUpperCase());
+}
+
+// Two URLs that open the same page compare equal: scheme, www., trailing
+// slashes, fragments, tracking parameters and parameter order are ignored
+function normalizeUrl(url) {
+    try {
+        const parsed = new URL(url.trim());
+        const params = [...parsed.searchParams]
+            .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = new URLSearchParams(params).toString();
+        const host = parsed.host.replace(/^www\./, '');
+        const path = parsed.pathname.replace(/\/+$/, '');
+        return `${host}${path}${query ? `?${query}` : ''}`;
+    } catch {
+        return url.trim().toLowerCase();
+    }
+}
+
+// Folder names from the outermost in. The browser's own roots (bookmarks
+// bar, other bookmarks) say nothing about a link and are left out.
+function getBookmarkFolders(anchor) {
+    const folders = [];
+    for (let el = anchor.parentElement; el; el = el.parentElement) {
+        const heading = el.tagName === 'DL' ? el.previousElementSibling : null;
+        if (heading && heading.tagName === 'H3' &&
+            !heading.hasAttribute('personal_toolbar_folder') && !heading.hasAttribute('unfiled_bookmarks_folder')) {
+            folders.unshift(heading.textContent.trim());
+        }
+    }
+    return folders.filter(Boolean);
+}
+
+function parseBookmarks(html) {
+    const doc = new DOMParser().parseFromString(html, 'text/html');
+    
+    return [...doc.querySelectorAll('a[href]')].map(anchor => {
+        const item = anchor.closest('dt');
+        const description = item && item.nextElementSibling && item.nextElementSibling.tagName === 'DD'
+            ? item.nextElementSibling.textContent.trim()
+            : '';
+        const addDate = Number(anchor.getAttribute('add_date'));
+        
+        return {
+            url: anchor.getAttribute('href').trim(),
+            title: anchor.textContent.trim(),
+            description,
+            folders: getBookmarkFolders(anchor),
+            tags: (anchor.getAttribute('tags') || '').split(',').map(tag => tag.trim()).filter(Boolean),
+            addedAt: addDate > 0 ? new Date(addDate * 1000).toISOString() : null
+        };
+    });
+}
+
+// The outermost folder becomes the collection and every folder name a tag
+function bookmarkToTool(bookmark, known) {
+    const tool = createTool();
+    tool.name = bookmark.title || getHostname(bookmark.url);
+    tool.url = bookmark.url;
+    tool.description = bookmark.description;
+    tool.collection = bookmark.folders[0] || '';
+    tool.tags = [...new Set([...bookmark.folders, ...bookmark.tags].map(tag => toKnownTag(tag, known)))];
+    if (bookmark.addedAt) {
+        tool.createdAt = bookmark.addedAt;
+    }
+    stampRecord(tool);
+    return tool;
+}
+
+async function importBookmarks(html) {
+    const bookmarks = parseBookmarks(html);
+    const seen = new Set(state.tools.filter(t => !t.deletedAt).map(t => normalizeUrl(t.url)));
+    const known = getKnownTags();
+    let duplicates = 0;
+    let skipped = 0;
+    let imported = 0;
+    
+    for (const bookmark of bookmarks) {
+        // javascript:, place: and file: links are not tools
+        if (!/^https?:\/\//i.test(bookmark.url)) {
+            skipped++;
+            continue;
+        }
+        
+        const key = normalizeUrl(bookmark.url);
+        if (seen.has(key)) {
+            duplicates++;
+            continue;
+        }
+        seen.add(key);
+        
+        const tool = bookmarkToTool(bookmark, known);
+        await putInStore('tools', tool);
+        updateSearchIndex('tools', [tool]);
+        state.tools.push(tool);
+        imported++;
     }
     
-    // Reset file input
-    event.target.value = '';
+    renderToolsGrid();
+    window.syncModule.scheduleSync();
+    fetchMissingFavicons();
+    
+    const notes = [
+        duplicates > 0 ? `${duplicates} duplicate(s)` : '',
+        skipped > 0 ? `${skipped} not web links` : ''
+    ].filter(Boolean);
+    alert(`Imported ${imported} bookmark(s) as tools.${notes.length > 0 ? ` Skipped ${notes.join(' and ')}.` : ''}`);
+}
+
+function renderBookmark(tool) {
+    const seconds = date => Math.floor(new Date(date).getTime() / 1000);
+    const icon = getFavicon(tool.url);
+    const attributes = [
+        `HREF="${escapeHtml(tool.url)}"`,
+        `ADD_DATE="${seconds(tool.createdAt)}"`,
+        `LAST_MODIFIED="${seconds(tool.updatedAt)}"`,
+        icon ? `ICON="${escapeHtml(icon)}"` : '',
+        tool.tags.length > 0 ? `TAGS="${escapeHtml(tool.tags.join(','))}"` : ''
+    ].filter(Boolean).join(' ');
+    
+    return `<DT><A ${attributes}>${escapeHtml(tool.name)}</A>` +
+        (tool.description ? `\n<DD>${escapeHtml(tool.description)}` : '');
+}
+
+// Collections become folders; tools outside any collection stay at the top
+function buildBookmarksHtml(tools) {
+    const indent = lines => lines.map(line => `    ${line}`);
+    const sorted = [...tools].sort(compareToolOrder);
+    const loose = sorted.filter(tool => !tool.collection);
+    const folders = getToolCollections(tools).flatMap(collection => [
+        `<DT><H3>${escapeHtml(collection)}</H3>`,
+        '<DL><p>',
+        ...indent(sorted.filter(tool => tool.collection === collection).flatMap(tool => renderBookmark(tool).split('\n'))),
+        '</DL><p>'
+    ]);
+    
+    return [
+        BOOKMARK_DOCTYPE,
+        '<!-- This is an automatically generated file. It will be read and overwritten. DO NOT EDIT! -->',
+        '<META HTTP-EQUIV="Content-Type" CONTENT="text/html; charset=UTF-8">',
+        '<TITLE>Bookmarks</TITLE>',
+        '<H1>Bookmarks</H1>',
+        '<DL><p>',
+        ...indent([...folders, ...loose.flatMap(tool => renderBookmark(tool).split('\n'))]),
+        '</DL><p>',
+        ''
+    ].join('\n');
+}
+
+function exportBookmarks() {
+    const tools = state.tools.filter(tool => !tool.deletedAt);
+    const blob = new Blob([buildBookmarksHtml(tools)], { type: 'text/html' });
+    const url = URL.createObjectURL(blob);
+    
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `notepad-tools-bookmarks-${Date.now()}.html`;
+    a.click();
+    
+    URL.revokeObjectURL(url);
 }
 
 // ========================================
@@ -733,22 +5674,155 @@ function switchTab(tabName) {
         view.classList.remove('active');
     });
     document.getElementById(`${tabName}-view`).classList.add('active');
+    
+    // Note counts on tool cards may have changed while the grid was hidden
+    if (tabName === 'tools') {
+        renderToolsGrid();
+    }
 }
 
 // ========================================
 // Utility Functions
 // ========================================
 
+function unescapeHtml(html) {
+    const div = document.createElement('div');
+    div.innerHTML = html;
+    return div.textContent;
+}
+
 function escapeHtml(text) {
     const div = document.createElement('div');
     div.textContent = text;
-    return div.innerHTML;
+    // Quotes too, so the result is also safe inside attribute values
+    return div.innerHTML.replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+}
+
+// Line diff based on the longest common subsequence. Returns
+// { type: 'same' | 'removed' | 'added', line } entries in document order.
+function diffLines(before, after) {
+    const a = before.split('\n');
+    const b = after.split('\n');
+    
+    // Only the changed middle needs the LCS table
+    let start = 0;
+    while (start < a.length && start < b.length && a[start] === b[start]) start++;
+    let endA = a.length;
+    let endB = b.length;
+    while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+        endA--;
+        endB--;
+    }
+    
+    const midA = a.slice(start, endA);
+    const midB = b.slice(start, endB);
+    const result = a.slice(0, start).map(line => ({ type: 'same', line }));
+    
+    // Very large rewrites are shown as a full replacement
+    if (midA.length * midB.length > 4000000) {
+        midA.forEach(line => result.push({ type: 'removed', line }));
+        midB.forEach(line => result.push({ type: 'added', line }));
+    } else {
+        const cols = midB.length + 1;
+        const table = new Uint32Array((midA.length + 1) * cols);
+        for (let i = midA.length - 1; i >= 0; i--) {
+            for (let j = midB.length - 1; j >= 0; j--) {
+                table[i * cols + j] = midA[i] === midB[j]
+                    ? table[(i + 1) * cols + j + 1] + 1
+                    : Math.max(table[(i + 1) * cols + j], table[i * cols + j + 1]);
+            }
+        }
+        
+        let i = 0;
+        let j = 0;
+        while (i < midA.length && j < midB.length) {
+            if (midA[i] === midB[j]) {
+                result.push({ type: 'same', line: midA[i] });
+                i++;
+                j++;
+            } else if (table[(i + 1) * cols + j] >= table[i * cols + j + 1]) {
+                result.push({ type: 'removed', line: midA[i++] });
+            } else {
+                result.push({ type: 'added', line: midB[j++] });
+            }
+        }
+        while (i < midA.length) result.push({ type: 'removed', line: midA[i++] });
+        while (j < midB.length) result.push({ type: 'added', line: midB[j++] });
+    }
+    
+    a.slice(endA).forEach(line => result.push({ type: 'same', line }));
+    return result;
 }
 
 // ========================================
 // Smoke Tests
 // ========================================
 
+// In-memory stand-in for the /api backend with the same rules as the mock
+// server: a push is accepted only when based on the current server rev
+function createMemorySyncServer() {
+    let sequence = 0;
+    const collections = {};
+    const getCollection = name => (collections[name] = collections[name] || new Map());
+    
+    return {
+        read(storeName, id) {
+            return getCollection(storeName).get(id) || null;
+        },
+        
+        async pull(storeName, cursor) {
+            const after = Number(cursor) || 0;
+            const entries = [...getCollection(storeName)].filter(([, entry]) => entry.seq > after);
+            return {
+                items: entries.filter(([, entry]) => entry.item).map(([, entry]) => ({ ...entry.item })),
+                deleted: entries.filter(([, entry]) => !entry.item).map(([id, entry]) => ({ id, deletedAt: entry.deletedAt })),
+                cursor: String(sequence)
+            };
+        },
+        
+        async push(storeName, items, deleted) {
+            const collection = getCollection(storeName);
+            const conflicts = [];
+            for (const item of items) {
+                const existing = collection.get(item.id);
+                if (existing && existing.item && existing.item.rev !== item.syncedRev) {
+                    conflicts.push({ ...existing.item });
+                    continue;
+                }
+                const { syncedRev, ...stored } = item;
+                collection.set(item.id, { item: stored, seq: ++sequence });
+            }
+            for (const tombstone of deleted) {
+                collection.set(tombstone.id, { deletedAt: tombstone.deletedAt, seq: ++sequence });
+            }
+            return { cursor: String(sequence), conflicts };
+        }
+    };
+}
+
+// Points the sync engine at the given server for the length of fn. The
+// adapter only sees the listed records, so nothing real is ever pushed,
+// and the real adapter, transport and cursors are put back afterwards.
+async function withSmokeSync(server, ids, fn) {
+    const { syncState } = window.syncModule;
+    const saved = { adapter: syncState.adapter, transport: syncState.transport, cursors: syncState.cursors };
+    
+    syncState.adapter = {
+        ...syncAdapter,
+        getAll: async storeName => (await getAllFromStore(storeName)).filter(r => ids.includes(r.id)),
+        getTombstones: async storeName => (await getTombstones(storeName)).filter(t => ids.includes(t.id))
+    };
+    syncState.cursors = {};
+    window.syncModule.setTransport(server);
+    
+    try {
+        return await fn(window.syncModule);
+    } finally {
+        clearTimeout(syncState.debounceTimer);
+        Object.assign(syncState, saved);
+    }
+}
+
 async function runSmokeTests() {
     console.log('🧪 Running Smoke Tests...');
     const results = [];
@@ -844,6 +5918,640 @@ async function runSmokeTests() {
         state.notes = state.notes.filter(n => n.id !== tagNote.id);
         results.push({ test: 'Tag filter', passed: filterWorks });
         
+        // Test 6: Reminder scheduler on a fake clock
+        console.log('Test 6: Reminder scheduler');
+        let clock = Date.parse('2024-01-01T09:00:00Z');
+        let fakeTimer = null;
+        const reminded = [];
+        const advanceClock = (to) => {
+            clock = Date.parse(to);
+            if (fakeTimer && fakeTimer.at <= clock) {
+                const { fn } = fakeTimer;
+                fakeTimer = null;
+                fn();
+            }
+        };
+        const scheduler = createReminderScheduler({
+            now: () => clock,
+            setTimeout: (fn, delay) => (fakeTimer = { fn, at: clock + delay }),
+            clearTimeout: () => { fakeTimer = null; },
+            notify: note => reminded.push(note.id)
+        });
+        scheduler.schedule([
+            { id: 'later', remindAt: '2024-01-01T10:00:00Z' },
+            { id: 'missed', remindAt: '2024-01-01T08:00:00Z' },
+            { id: 'trashed', remindAt: '2024-01-01T09:30:00Z', deletedAt: '2024-01-01T08:30:00Z' },
+            { id: 'none', remindAt: null }
+        ]);
+        const firedMissed = reminded.join() === 'missed';
+        advanceClock('2024-01-01T09:59:00Z');
+        const waited = reminded.length === 1;
+        advanceClock('2024-01-01T10:00:00Z');
+        const firedLater = reminded.join() === 'missed,later' && fakeTimer === null;
+        scheduler.cancel();
+        results.push({ test: 'Reminder scheduler', passed: firedMissed && waited && firedLater });
+        
+        // Test 7: Link checker against a stub transport
+        console.log('Test 7: Link checker');
+        // Fixtures look already synced so nothing would ever push them
+        const linkTools = ['https://ok.test/', 'https://gone.test/', 'https://moved.test/'].map(url => ({
+            ...createTool(),
+            name: url,
+            url,
+            rev: 1,
+            syncedRev: 1
+        }));
+        for (const tool of linkTools) {
+            await putInStore('tools', tool);
+            state.tools.push(tool);
+        }
+        const stubTransport = {
+            async check(urls) {
+                return urls.map(url => ({
+                    url,
+                    status: url.includes('gone') ? 404 : url.includes('moved') ? 301 : 200,
+                    redirectedTo: url.includes('moved') ? 'https://new.test/' : null,
+                    error: null
+                }));
+            }
+        };
+        await checkToolLinks(linkTools, stubTransport);
+        const healthRecorded = linkTools.map(getLinkHealth).join() === 'ok,broken,redirect' &&
+            (await getFromStore('tools', linkTools[2].id)).redirectUrl === 'https://new.test/';
+        document.getElementById('tools-view-filter').value = 'broken';
+        const brokenShown = filterAndSortTools().some(t => t.id === linkTools[1].id) &&
+            filterAndSortTools().every(t => getLinkHealth(t) === 'broken');
+        document.getElementById('tools-view-filter').value = 'all';
+        // A pulled copy checked nowhere else keeps this device's result
+        const uncheckedCopy = { ...(await getFromStore('tools', linkTools[1].id)), rev: 2, syncedRev: 2 };
+        clearLinkCheck(uncheckedCopy);
+        await putSyncedRecord('tools', uncheckedCopy);
+        const keptAfterPull = getLinkHealth(await getFromStore('tools', linkTools[1].id)) === 'broken';
+        for (const tool of linkTools) {
+            await deleteFromStore('tools', tool.id);
+        }
+        state.tools = state.tools.filter(t => !linkTools.includes(t));
+        renderToolsGrid();
+        results.push({ test: 'Link checker', passed: healthRecorded && brokenShown && keptAfterPull });
+        
+        // Test 8: Metadata auto-fill only fills empty fields
+        console.log('Test 8: Metadata auto-fill');
+        const previousMetadataTransport = metadataTransport;
+        setMetadataTransport({
+            async fetch(url) {
+                return url.includes('down')
+                    ? { url, error: 'HTTP 500' }
+                    : { url, title: 'Stub Page', description: 'From the page', keywords: ['Stub'], favicon: 'data:image/png;base64,AA==', error: null };
+            }
+        });
+        // Plain fields rather than the tool form, which the user may have open
+        const typedFields = { name: '', description: 'Typed by hand', tags: [] };
+        const filledNames = fillEmptyToolFields(typedFields, await fetchPageMetadata('https://autofill.test/page'));
+        const fieldsFilled = filledNames.join() === 'name,tags' &&
+            typedFields.name === 'Stub Page' && typedFields.description === 'Typed by hand' &&
+            typedFields.tags.join() === 'stub' &&
+            getFavicon('https://autofill.test/other') === 'data:image/png;base64,AA==';
+        const downPage = await fetchPageMetadata('https://down.test/');
+        const fellBack = downPage.error === 'HTTP 500' && !getFavicon('https://down.test/');
+        setMetadataTransport(previousMetadataTransport);
+        for (const host of ['autofill.test', 'down.test']) {
+            await deleteFromStore('favicons', host);
+            state.favicons.delete(host);
+        }
+        results.push({ test: 'Metadata auto-fill', passed: fieldsFilled && fellBack });
+        
+        // Test 9: Manual order within and between collections
+        console.log('Test 9: Manual tool order');
+        const orderTools = ['A', 'B', 'C'].map(name => ({ ...createTool(), name, collection: 'Smoke', rev: 1, syncedRev: 1 }));
+        for (const tool of orderTools) {
+            await putInStore('tools', tool);
+            state.tools.push(tool);
+        }
+        await moveTool(orderTools[2].id, 'Smoke', orderTools[0].id);
+        const smokeOrder = () => state.tools
+            .filter(t => t.collection === 'Smoke')
+            .sort(compareToolOrder)
+            .map(t => t.name)
+            .join('');
+        const reordered = smokeOrder() === 'CAB';
+        await moveTool(orderTools[0].id, 'Smoke Other');
+        const movedBetween = smokeOrder() === 'CB' && orderTools[0].collection === 'Smoke Other';
+        for (const tool of orderTools) {
+            await deleteFromStore('tools', tool.id);
+            await unindexRecord('tools', tool.id);
+        }
+        state.tools = state.tools.filter(t => !orderTools.includes(t));
+        renderToolsGrid();
+        results.push({ test: 'Manual tool order', passed: reordered && movedBetween });
+        
+        // Test 10: Opening a tool counts without a new rev
+        console.log('Test 10: Tool usage');
+        const usedTool = { ...createTool(), name: 'Usage Smoke', url: 'https://usage.test/', rev: 1, syncedRev: 1 };
+        await putInStore('tools', usedTool);
+        state.tools.push(usedTool);
+        await recordToolOpen(usedTool.id);
+        await recordToolOpen(usedTool.id);
+        const storedUsage = await getFromStore('tools', usedTool.id);
+        const counted = storedUsage.openCount === 2 && storedUsage.rev === 1 &&
+            getDailyUsage(storedUsage).pop() === 2;
+        const remoteCopy = { ...usedTool, openCount: 1, usage: {}, rev: 1, syncedRev: 1 };
+        mergeToolUsage(remoteCopy, storedUsage);
+        const merged = remoteCopy.openCount === 2 && countRecentOpens(remoteCopy) === 2 &&
+            compareRevisions(storedUsage, remoteCopy) === 'same';
+        await deleteFromStore('tools', usedTool.id);
+        state.tools = state.tools.filter(t => t !== usedTool);
+        renderToolsGrid();
+        results.push({ test: 'Tool usage', passed: counted && merged });
+        
+        // Test 11: Bookmark files map folders and survive a round trip
+        console.log('Test 11: Bookmark import/export');
+        const bookmarkHtml = `${BOOKMARK_DOCTYPE}
+            <DL><p>
+                <DT><H3 PERSONAL_TOOLBAR_FOLDER="true">Bookmarks bar</H3>
+                <DL><p>
+                    <DT><H3>CI</H3>
+                    <DL><p>
+                        <DT><A HREF="https://ci.test/builds/" ADD_DATE="1700000000">Builds</A>
+                        <DD>Nightly builds
+                    </DL><p>
+                </DL><p>
+                <DT><A HREF="javascript:void(0)">Bookmarklet</A>
+            </DL><p>`;
+        const parsedBookmarks = parseBookmarks(bookmarkHtml);
+        const bookmarkTool = bookmarkToTool(parsedBookmarks[0], []);
+        // The tool is not in state, so its collection has to come from the list exported
+        const reparsed = bookmarkToTool(parseBookmarks(buildBookmarksHtml([bookmarkTool]))[0], []);
+        const bookmarksMapped = parsedBookmarks.length === 2 &&
+            bookmarkTool.collection === 'CI' && bookmarkTool.tags.join() === 'ci' &&
+            bookmarkTool.description === 'Nightly builds' && bookmarkTool.createdAt.startsWith('2023-11-14') &&
+            normalizeUrl('http://www.CI.test/builds?utm_source=x#top') === normalizeUrl(bookmarkTool.url) &&
+            reparsed.url === bookmarkTool.url && reparsed.description === 'Nightly builds' &&
+            reparsed.collection === 'CI' && reparsed.tags.join() === 'ci';
+        results.push({ test: 'Bookmark import/export', passed: bookmarksMapped });
+        
+        // Test 12: History keeps the version a later bad edit replaced
+        console.log('Test 12: Note history');
+        const historyNote = { ...createNote(), title: 'History Smoke', content: 'draft', rev: 1, syncedRev: 1 };
+        await putInStore('notes', historyNote);
+        state.notes.push(historyNote);
+        // Saves seconds apart, as autosave makes them
+        for (const content of ['edit 1', 'edit 2', 'bad edit']) {
+            historyNote.content = content;
+            await saveNote(historyNote);
+        }
+        const historyVersions = await getNoteVersions(historyNote.id);
+        const [previousVersion] = historyVersions;
+        const keptPrevious = historyVersions.map(v => v.content).join() === 'edit 2,edit 1,draft';
+        const openNote = state.currentNote;
+        state.currentNote = historyNote;
+        await restoreNoteVersion(previousVersion.id);
+        const restored = (await getFromStore('notes', historyNote.id)).content === 'edit 2';
+        state.currentNote = openNote;
+        renderNoteEditor();
+        await deleteNoteVersions(historyNote.id);
+        await deleteFromStore('notes', historyNote.id);
+        await unindexRecord('notes', historyNote.id);
+        state.notes = state.notes.filter(n => n !== historyNote);
+        renderNotesList();
+        // Past the keep-all window only the newest version per interval stays
+        const hour = Date.parse('2024-01-01T10:00:00Z');
+        const at = minutes => ({ createdAt: new Date(hour + minutes * 60 * 1000).toISOString() });
+        const oldVersions = [at(50), at(21), at(18), at(17), at(2)];
+        const pruned = selectVersionsToPrune(oldVersions, hour + 55 * 60 * 1000);
+        // 10:17 shares its interval with the newer 10:18
+        const thinned = pruned.length === 1 && pruned[0] === oldVersions[3];
+        results.push({ test: 'Note history', passed: keptPrevious && restored && thinned });
+        
+        // Test 13: Push, pull and delete round trip through the sync engine
+        console.log('Test 13: Sync round trip');
+        const syncServer = createMemorySyncServer();
+        const syncNote = { ...createNote(), title: 'Sync Smoke', rev: 1 };
+        const syncTool = { ...createTool(), name: 'Sync Smoke', url: 'https://sync.test/', rev: 1 };
+        await putInStore('notes', syncNote);
+        await putInStore('tools', syncTool);
+        state.notes.push(syncNote);
+        state.tools.push(syncTool);
+        const roundTrip = await withSmokeSync(syncServer, [syncNote.id, syncTool.id], async ({ pushStore, pullStore }) => {
+            await pushStore('notes');
+            await pushStore('tools');
+            const pushed = syncServer.read('notes', syncNote.id).item.rev === 1 &&
+                (await getFromStore('notes', syncNote.id)).syncedRev === 1 &&
+                !('syncedRev' in syncServer.read('tools', syncTool.id).item);
+            
+            // Another device edits the note and deletes the tool
+            await syncServer.push('notes', [{ ...syncNote, title: 'Edited elsewhere', rev: 2, syncedRev: 1 }], []);
+            await syncServer.push('tools', [], [{ id: syncTool.id, deletedAt: new Date().toISOString() }]);
+            await pullStore('notes');
+            await pullStore('tools');
+            const storedNote = await getFromStore('notes', syncNote.id);
+            const pulled = storedNote.title === 'Edited elsewhere' && storedNote.syncedRev === 2 &&
+                state.notes.find(n => n.id === syncNote.id).title === 'Edited elsewhere' &&
+                !(await getFromStore('tools', syncTool.id)) && !state.tools.some(t => t.id === syncTool.id);
+            
+            // And a local delete reaches the server as a tombstone
+            await purgeFromTrash('notes', syncNote.id);
+            await pushStore('notes');
+            const deleted = syncServer.read('notes', syncNote.id).deletedAt &&
+                (await getTombstones('notes')).every(t => t.id !== syncNote.id);
+            
+            return pushed && pulled && deleted;
+        });
+        await clearTombstones([syncNote.id, syncTool.id]);
+        renderNotesList();
+        renderToolsGrid();
+        results.push({ test: 'Sync round trip', passed: roundTrip });
+        
+        // Test 14: Edits on both sides conflict, an ancestor takes the
+        // incoming copy, and the resolution is pushed on the server's rev
+        console.log('Test 14: Sync conflicts');
+        const conflictServer = createMemorySyncServer();
+        const [bothEdited, behind] = ['Conflict Smoke', 'Ancestor Smoke'].map(title => ({ ...createNote(), title, rev: 1 }));
+        for (const note of [bothEdited, behind]) {
+            await putInStore('notes', note);
+            state.notes.push(note);
+        }
+        const conflictsHandled = await withSmokeSync(conflictServer, [bothEdited.id, behind.id], async ({ pushStore, pullStore }) => {
+            await pushStore('notes');
+            await conflictServer.push('notes', [
+                { ...bothEdited, content: 'theirs', rev: 2, syncedRev: 1 },
+                { ...behind, content: 'newer', rev: 2, syncedRev: 1 }
+            ], []);
+            
+            const mine = { ...(await getFromStore('notes', bothEdited.id)), content: 'mine' };
+            stampRecord(mine);
+            await putInStore('notes', mine);
+            state.notes = state.notes.map(n => n.id === mine.id ? mine : n);
+            await pushStore('notes');
+            await pullStore('notes');
+            const conflict = getConflict(bothEdited.id);
+            const conflicted = conflict && conflict.source === 'sync' && conflict.theirs.content === 'theirs' &&
+                (await getFromStore('notes', bothEdited.id)).content === 'mine';
+            const tookIncoming = (await getFromStore('notes', behind.id)).content === 'newer';
+            
+            await resolveConflict(bothEdited.id, 'mine');
+            await pushStore('notes');
+            const stored = await getFromStore('notes', bothEdited.id);
+            const onServer = conflictServer.read('notes', bothEdited.id).item;
+            const resolvedPushed = !getConflict(bothEdited.id) && onServer.content === 'mine' &&
+                onServer.rev === 3 && stored.syncedRev === 3;
+            
+            return conflicted && tookIncoming && resolvedPushed;
+        });
+        for (const note of [bothEdited, behind]) {
+            await deleteNoteVersions(note.id);
+            await deleteFromStore('notes', note.id);
+            await unindexRecord('notes', note.id);
+        }
+        state.notes = state.notes.filter(n => n.id !== bothEdited.id && n.id !== behind.id);
+        renderNotesList();
+        results.push({ test: 'Sync conflicts', passed: conflictsHandled });
+        
+        // Test 15: A save from an old copy still lands and parks the newer one
+        console.log('Test 15: Stale save');
+        const staleNote = { ...createNote(), title: 'Stale Smoke', content: 'base', rev: 1, syncedRev: 1 };
+        await putInStore('notes', staleNote);
+        state.notes.push(staleNote);
+        // Another window synced rev 2 and then edited again
+        await putInStore('notes', { ...staleNote, content: 'other window', rev: 3, syncedRev: 2 });
+        const staleCopy = { ...staleNote, content: 'this window' };
+        await saveNote(staleCopy);
+        const landed = await getFromStore('notes', staleNote.id);
+        const staleConflict = getConflict(staleNote.id);
+        const staleHandled = landed.content === 'this window' && landed.rev > 3 && landed.syncedRev === 2 &&
+            staleConflict && staleConflict.source === 'window' && staleConflict.theirs.content === 'other window';
+        await deleteFromStore('conflicts', staleNote.id);
+        state.conflicts = state.conflicts.filter(c => c.id !== staleNote.id);
+        await deleteNoteVersions(staleNote.id);
+        await deleteFromStore('notes', staleNote.id);
+        await unindexRecord('notes', staleNote.id);
+        state.notes = state.notes.filter(n => n.id !== staleNote.id);
+        renderNotesList();
+        results.push({ test: 'Stale save', passed: staleHandled });
+        
+        // Test 16: A save made while a push is out is not a conflict with itself
+        console.log('Test 16: Save during push');
+        const pushServer = createMemorySyncServer();
+        const racedNote = { ...createNote(), title: 'Race Smoke', content: 'pushed', rev: 1 };
+        await putInStore('notes', racedNote);
+        state.notes.push(racedNote);
+        const savingServer = {
+            ...pushServer,
+            async push(storeName, items, deleted) {
+                racedNote.content = 'typed during push';
+                await saveNote(racedNote);
+                return pushServer.push(storeName, items, deleted);
+            }
+        };
+        const raceHandled = await withSmokeSync(savingServer, [racedNote.id], async ({ pushStore, pullStore }) => {
+            await pushStore('notes');
+            await pullStore('notes');
+            const stored = await getFromStore('notes', racedNote.id);
+            const basedOnPush = !getConflict(racedNote.id) && stored.rev === 2 && stored.syncedRev === 1 &&
+                stored.content === 'typed during push';
+            
+            await pushServer.push('notes', [stored], []);
+            return basedOnPush && pushServer.read('notes', racedNote.id).item.content === 'typed during push';
+        });
+        await deleteNoteVersions(racedNote.id);
+        await deleteFromStore('notes', racedNote.id);
+        await unindexRecord('notes', racedNote.id);
+        state.notes = state.notes.filter(n => n.id !== racedNote.id);
+        renderNotesList();
+        results.push({ test: 'Save during push', passed: raceHandled });
+        
+        // Test 17: Markdown keeps raw HTML and script links out of the preview
+        console.log('Test 17: Markdown sanitizer');
+        const renderedMarkdown = renderMarkdown(
+            '<img src=x onerror="alert(1)">\n\n[bad](javascript:alert(1)) [good](https://ok.test/) **bold**'
+        );
+        const sanitized = !renderedMarkdown.includes('<img') && renderedMarkdown.includes('&lt;img') &&
+            !renderedMarkdown.includes('javascript:') &&
+            renderedMarkdown.includes('<a href="https://ok.test/"') &&
+            renderedMarkdown.includes('<strong>bold</strong>');
+        const stripped = stripMarkdown('# Plan\n- [ ] ship **it**\n> see [docs](https://ok.test/)') === 'Plan ship it see docs';
+        results.push({ test: 'Markdown sanitizer', passed: sanitized && stripped });
+        
+        // Test 18: Query syntax parses into clauses and ranks title hits first
+        console.log('Test 18: Search queries');
+        const parsedQuery = JSON.stringify(parseSearchQuery('tag:Work title:"release plan" -draft updated:>2026-01-01'));
+        const parsed = parsedQuery === JSON.stringify([
+            { type: 'tag', value: 'work', negate: false },
+            { type: 'phrase', field: 'title', terms: ['release', 'plan'], negate: false },
+            { type: 'term', field: null, term: 'draft', negate: true },
+            { type: 'date', field: 'updatedAt', op: '>', value: '2026-01-01', negate: false }
+        ]);
+        const titleHit = { ...createNote(), title: 'Zebrafjord release plan', tags: ['smoke-search'], rev: 1, syncedRev: 1 };
+        const bodyHit = { ...createNote(), title: 'Other', content: 'mentions zebrafjord once', tags: ['smoke-search', 'draft'], rev: 1, syncedRev: 1 };
+        for (const note of [titleHit, bodyHit]) {
+            await putInStore('notes', note);
+            await indexRecord('notes', note);
+            state.notes.push(note);
+        }
+        const ranked = [...searchRecords('notes', 'zebraf').entries()].sort((a, b) => b[1] - a[1]).map(([id]) => id);
+        const filteredQuery = searchRecords('notes', 'tag:smoke-search "release plan" -tag:draft');
+        const searchWorks = ranked.join() === [titleHit.id, bodyHit.id].join() &&
+            filteredQuery.size === 1 && filteredQuery.has(titleHit.id) &&
+            highlightText('Zebrafjord <b>', ['zebraf']) === '<mark>Zebraf</mark>jord &lt;b&gt;';
+        for (const note of [titleHit, bodyHit]) {
+            await deleteFromStore('notes', note.id);
+            await unindexRecord('notes', note.id);
+        }
+        state.notes = state.notes.filter(n => n !== titleHit && n !== bodyHit);
+        results.push({ test: 'Search queries', passed: parsed && searchWorks });
+        
+        // Test 19: AND, OR and NOT filters combine and survive a reload from the URL
+        console.log('Test 19: Tag filter modes');
+        const savedTagFilters = state.tagFilters;
+        state.tagFilters = [
+            { tag: 'client-x', mode: 'and' },
+            { tag: 'q1', mode: 'or' },
+            { tag: 'q2', mode: 'or' },
+            { tag: 'infra', mode: 'not' }
+        ];
+        const modesCombine = matchesTagFilters(['client-x', 'q2']) &&
+            !matchesTagFilters(['client-x']) &&
+            !matchesTagFilters(['q1']) &&
+            !matchesTagFilters(['client-x', 'q1', 'infra']);
+        const expectedFilters = JSON.stringify(state.tagFilters);
+        saveTagFiltersToUrl();
+        state.tagFilters = [];
+        loadTagFiltersFromUrl();
+        const filtersRestored = JSON.stringify(state.tagFilters) === expectedFilters;
+        state.tagFilters = savedTagFilters;
+        applyTagFilters();
+        results.push({ test: 'Tag filter modes', passed: modesCombine && filtersRestored });
+        
+        // Test 20: Renaming onto an existing tag merges it and carries the color
+        console.log('Test 20: Tag rename and merge');
+        const mergedNote = { ...createNote(), title: 'Merge Smoke', tags: ['smoke-old', 'smoke-keep'], rev: 1, syncedRev: 1 };
+        const targetNote = { ...createNote(), title: 'Merge Target Smoke', tags: ['smoke-new', 'smoke-old'], rev: 1, syncedRev: 1 };
+        for (const note of [mergedNote, targetNote]) {
+            await putInStore('notes', note);
+            state.notes.push(note);
+        }
+        await storeTagColor('smoke-old', '#ff8800');
+        await renameTag('smoke-old', 'smoke-new', { merging: true });
+        const storedMerged = await getFromStore('notes', mergedNote.id);
+        const storedTarget = await getFromStore('notes', targetNote.id);
+        const tagsMerged = storedMerged.tags.join() === 'smoke-new,smoke-keep' &&
+            storedTarget.tags.join() === 'smoke-new' &&
+            !getTagStats().some(stat => stat.tag === 'smoke-old');
+        const colorMoved = getTagColor('smoke-new') === '#ff8800' && getTagColor('smoke-old') === null;
+        for (const note of [mergedNote, targetNote]) {
+            await deleteFromStore('notes', note.id);
+            await unindexRecord('notes', note.id);
+        }
+        for (const tag of ['smoke-old', 'smoke-new']) {
+            await deleteFromStore('tags', tag);
+        }
+        state.notes = state.notes.filter(n => n.id !== mergedNote.id && n.id !== targetNote.id);
+        state.tags = state.tags.filter(t => t.id !== 'smoke-old' && t.id !== 'smoke-new');
+        refreshAfterTagChange();
+        results.push({ test: 'Tag rename and merge', passed: tagsMerged && colorMoved });
+        
+        // Test 21: The tag editor suggests known tags and flags near misses
+        console.log('Test 21: Tag autocomplete');
+        const knownTagNote = { ...createNote(), title: 'Known Tag Smoke', tags: ['smoke-kubernetes'] };
+        state.notes.push(knownTagNote);
+        const similarFound = findSimilarTag('Smoke-Kubernets', getKnownTags()) === 'smoke-kubernetes' &&
+            findSimilarTag('smoke-unrelated', getKnownTags()) === null &&
+            fuzzyScore('skub', 'smoke-kubernetes') !== null && fuzzyScore('xyz', 'smoke-kubernetes') === null;
+        const tagContainer = document.createElement('div');
+        let editedTags = [];
+        createTagInput(tagContainer, { testId: 'smoke-tags', onChange: tags => { editedTags = [...tags]; } });
+        const tagText = tagContainer.querySelector('.tag-input-text');
+        tagText.value = 'smoke-kub';
+        tagText.dispatchEvent(new Event('input'));
+        const suggested = Boolean(tagContainer.querySelector('[data-testid="smoke-tags-suggestion-smoke-kubernetes"]'));
+        tagText.value = 'smoke-kubernets,';
+        tagText.dispatchEvent(new Event('input'));
+        const warned = !tagContainer.querySelector('.tag-input-warning').classList.contains('hidden');
+        tagContainer.querySelector('[data-testid="smoke-tags-use-similar"]')?.click();
+        const corrected = editedTags.join() === 'smoke-kubernetes';
+        state.notes = state.notes.filter(n => n !== knownTagNote);
+        results.push({ test: 'Tag autocomplete', passed: similarFound && suggested && warned && corrected });
+        
+        // Test 22: Nested folders count their subfolders' notes and refuse cycles
+        console.log('Test 22: Nested folders');
+        const outerFolder = createFolder('Smoke Outer');
+        const middleFolder = createFolder('Smoke Middle', outerFolder.id);
+        const innerFolder = createFolder('Smoke Inner', middleFolder.id);
+        for (const folder of [outerFolder, middleFolder, innerFolder]) {
+            await saveFolder(folder);
+        }
+        const folderedNote = { ...createNote(), title: 'Folder Smoke', folderId: innerFolder.id, rev: 1, syncedRev: 1 };
+        await putInStore('notes', folderedNote);
+        state.notes.push(folderedNote);
+        const countedNested = countNotesInFolder(outerFolder.id) === 1 && countNotesInFolder(innerFolder.id) === 1;
+        await moveFolder(outerFolder.id, innerFolder.id);
+        const cycleRefused = (getFolder(outerFolder.id).parentId || null) === null;
+        await moveNoteToFolder(folderedNote.id, middleFolder.id);
+        const storedFoldered = await getFromStore('notes', folderedNote.id);
+        const noteMoved = storedFoldered.folderId === middleFolder.id && countNotesInFolder(innerFolder.id) === 0 &&
+            countNotesInFolder(outerFolder.id) === 1;
+        await deleteNoteVersions(folderedNote.id);
+        await deleteFromStore('notes', folderedNote.id);
+        await unindexRecord('notes', folderedNote.id);
+        state.notes = state.notes.filter(n => n.id !== folderedNote.id);
+        const smokeFolderIds = getFolderSubtreeIds(outerFolder.id);
+        for (const folderId of smokeFolderIds) {
+            await deleteFromStore('folders', folderId);
+        }
+        state.folders = state.folders.filter(f => !smokeFolderIds.has(f.id));
+        renderFolderTree();
+        renderNotesList();
+        results.push({ test: 'Nested folders', passed: countedNested && cycleRefused && noteMoved });
+        
+        // Test 23: Wiki links resolve, show up as backlinks and follow a rename
+        console.log('Test 23: Wiki links');
+        const linkTarget = { ...createNote(), title: 'Smoke Wiki Target', rev: 1, syncedRev: 1 };
+        const linkSource = {
+            ...createNote(),
+            title: 'Smoke Wiki Source',
+            content: 'See [[smoke wiki target]] and [[Smoke Wiki Missing]]',
+            rev: 1,
+            syncedRev: 1
+        };
+        for (const note of [linkTarget, linkSource]) {
+            await putInStore('notes', note);
+            state.notes.push(note);
+        }
+        const linkedHtml = renderMarkdown(linkSource.content);
+        const linksResolved = extractWikiLinks(linkSource.content).join() === 'smoke wiki target,Smoke Wiki Missing' &&
+            getBacklinks(linkTarget).map(n => n.id).join() === linkSource.id &&
+            linkedHtml.includes('class="wiki-link" data-note-title="smoke wiki target"') &&
+            linkedHtml.includes('class="wiki-link missing" data-note-title="Smoke Wiki Missing"');
+        linkTarget.title = 'Smoke Wiki Renamed';
+        await renameWikiLinks(linkTarget.id, 'Smoke Wiki Target', linkTarget.title);
+        const storedSource = await getFromStore('notes', linkSource.id);
+        const linksRenamed = storedSource.content === 'See [[Smoke Wiki Renamed]] and [[Smoke Wiki Missing]]' &&
+            getBacklinks(linkTarget).length === 1;
+        for (const note of [linkTarget, linkSource]) {
+            await deleteFromStore('notes', note.id);
+            await unindexRecord('notes', note.id);
+        }
+        state.notes = state.notes.filter(n => n.id !== linkTarget.id && n.id !== linkSource.id);
+        renderNotesList();
+        results.push({ test: 'Wiki links', passed: linksResolved && linksRenamed });
+        
+        // Test 24: Notes and tools link both ways, skipping trashed ends
+        console.log('Test 24: Note-tool links');
+        const linkedTool = { ...createTool(), name: 'Linked Smoke', url: 'https://linked.test/' };
+        const trashedTool = { ...createTool(), name: 'Trashed Smoke', url: 'https://trashed.test/', deletedAt: new Date().toISOString() };
+        const toolNote = { ...createNote(), title: 'Tool Link Smoke', toolIds: [linkedTool.id, trashedTool.id, crypto.randomUUID()] };
+        const trashedToolNote = { ...toolNote, id: crypto.randomUUID(), deletedAt: new Date().toISOString() };
+        state.tools.push(linkedTool, trashedTool);
+        state.notes.push(toolNote, trashedToolNote);
+        const savedToolNoteFilter = state.toolNoteFilter;
+        state.toolNoteFilter = linkedTool.id;
+        const toolFiltered = filterAndSortNotes().filter(n => n.id === toolNote.id || n.id === trashedToolNote.id);
+        state.toolNoteFilter = savedToolNoteFilter;
+        const linkedBothWays = getLinkedTools(toolNote).map(t => t.id).join() === linkedTool.id &&
+            getNotesForTool(linkedTool.id).map(n => n.id).join() === toolNote.id &&
+            toolFiltered.length === 1;
+        state.tools = state.tools.filter(t => t !== linkedTool && t !== trashedTool);
+        state.notes = state.notes.filter(n => n !== toolNote && n !== trashedToolNote);
+        results.push({ test: 'Note-tool links', passed: linkedBothWays });
+        
+        // Test 25: Templates ask only for their own fields and fill the rest
+        console.log('Test 25: Note templates');
+        const smokeTemplate = {
+            ...createTemplate(),
+            title: '{{date}} {{client:Acme}}',
+            content: 'Meeting with {{ client }} about {{topic}}, {{missing:no notes}}',
+            tags: ['meeting']
+        };
+        const templateFields = JSON.stringify(getTemplateFields(smokeTemplate)) === JSON.stringify([
+            { name: 'client', defaultValue: 'Acme' },
+            { name: 'topic', defaultValue: '' },
+            { name: 'missing', defaultValue: 'no notes' }
+        ]);
+        const templatedNote = createNoteFromTemplate(smokeTemplate, { client: 'Globex', topic: 'pricing' }, new Date(2026, 0, 5, 12));
+        const templateFilled = templatedNote.title === '2026-01-05 Globex' &&
+            templatedNote.content === 'Meeting with Globex about pricing, no notes' &&
+            templatedNote.templateId === smokeTemplate.id &&
+            templatedNote.tags.join() === 'meeting' && templatedNote.tags !== smokeTemplate.tags;
+        results.push({ test: 'Note templates', passed: templateFields && templateFilled });
+        
+        // Test 26: Journal entries are found by day, older ones by creation date
+        console.log('Test 26: Daily journal');
+        const datedEntry = { ...createNote(), title: 'Journal Smoke', tags: [JOURNAL_TAG], journalDate: '1999-12-30' };
+        const legacyEntry = { ...createNote(), title: 'Legacy Journal Smoke', tags: [JOURNAL_TAG], createdAt: new Date(1999, 11, 31, 9).toISOString() };
+        const trashedEntry = { ...createNote(), title: 'Trashed Journal Smoke', journalDate: '1999-12-29', deletedAt: new Date().toISOString() };
+        state.notes.push(datedEntry, legacyEntry, trashedEntry);
+        const journalFound = findJournalEntry('1999-12-30') === datedEntry &&
+            findJournalEntry('1999-12-31') === legacyEntry &&
+            findJournalEntry('1999-12-29') === null &&
+            getJournalDate({ ...createNote(), tags: [] }) === null &&
+            toDateKey(parseDateKey('2024-03-31')) === '2024-03-31';
+        state.notes = state.notes.filter(n => ![datedEntry, legacyEntry, trashedEntry].includes(n));
+        results.push({ test: 'Daily journal', passed: journalFound });
+        
+        // Test 27: Checklists skip code blocks and toggling saves the note
+        console.log('Test 27: Task checklists');
+        const taskNote = {
+            ...createNote(),
+            title: 'Tasks Smoke',
+            content: '- [ ] write\n- [x] review\n```\n- [ ] not a task\n```\n* [ ] ship',
+            rev: 1,
+            syncedRev: 1
+        };
+        await putInStore('notes', taskNote);
+        state.notes.push(taskNote);
+        const tasksFound = JSON.stringify(getTasks(taskNote.content)) === JSON.stringify([
+            { line: 0, done: false, text: 'write' },
+            { line: 1, done: true, text: 'review' },
+            { line: 5, done: false, text: 'ship' }
+        ]) && renderTaskProgress(taskNote).includes('>1/3<');
+        await toggleTask(taskNote, 0);
+        await toggleTask(taskNote, 5);
+        const storedTasks = await getFromStore('notes', taskNote.id);
+        const tasksToggled = storedTasks.content.startsWith('- [x] write\n') && storedTasks.content.endsWith('* [x] ship') &&
+            !hasOpenTasks(storedTasks) && renderTaskProgress(storedTasks).includes('complete');
+        await deleteNoteVersions(taskNote.id);
+        await deleteFromStore('notes', taskNote.id);
+        await unindexRecord('notes', taskNote.id);
+        state.notes = state.notes.filter(n => n.id !== taskNote.id);
+        renderNotesList();
+        results.push({ test: 'Task checklists', passed: tasksFound && tasksToggled });
+        
+        // Test 28: Tabs open beside the active one and background drafts save
+        // against the revision they started from
+        console.log('Test 28: Editor tabs');
+        const tabNote = { ...createNote(), title: 'Tab Smoke', content: 'base', rev: 1, syncedRev: 1 };
+        const besideNote = { ...createNote(), title: 'Beside Tab Smoke' };
+        const openedNote = { ...createNote(), title: 'Opened Tab Smoke' };
+        await putInStore('notes', tabNote);
+        state.notes.push(tabNote, besideNote, openedNote);
+        const savedEditorTabs = state.editorTabs;
+        const savedCurrentNote = state.currentNote;
+        state.editorTabs = [tabNote, besideNote].map(note => ({ noteId: note.id, isDirty: false, draft: null }));
+        state.currentNote = tabNote;
+        openEditorTab(openedNote.id);
+        openEditorTab(openedNote.id);
+        state.currentNote = savedCurrentNote;
+        const tabsOrdered = state.editorTabs.map(tab => tab.noteId).join() === [tabNote.id, openedNote.id, besideNote.id].join();
+        const draftTab = getEditorTab(tabNote.id);
+        draftTab.draft = { title: 'Tab Smoke', content: 'typed in background', tags: [], baseRev: 1 };
+        await saveTabDraft(draftTab);
+        const draftSaved = (await getFromStore('notes', tabNote.id)).content === 'typed in background' &&
+            draftTab.draft === null && !getConflict(tabNote.id);
+        draftTab.draft = { title: 'Tab Smoke', content: 'older draft', tags: [], baseRev: 1 };
+        await saveTabDraft(draftTab);
+        const tabConflict = getConflict(tabNote.id);
+        const staleDraftKept = (await getFromStore('notes', tabNote.id)).content === 'older draft' &&
+            tabConflict && tabConflict.theirs.content === 'typed in background';
+        state.editorTabs = savedEditorTabs;
+        await deleteFromStore('conflicts', tabNote.id);
+        state.conflicts = state.conflicts.filter(c => c.id !== tabNote.id);
+        await deleteNoteVersions(tabNote.id);
+        await deleteFromStore('notes', tabNote.id);
+        await unindexRecord('notes', tabNote.id);
+        state.notes = state.notes.filter(n => ![tabNote, besideNote, openedNote].some(fixture => fixture.id === n.id));
+        renderEditorTabs();
+        renderNotesList();
+        results.push({ test: 'Editor tabs', passed: tabsOrdered && draftSaved && staleDraftKept });
+        
         // Display results
         console.table(results);
         
@@ -856,6 +6564,23 @@ async function runSmokeTests() {
     }
 }
 
+function showToast(message, { actionLabel = null, onAction = null, duration = 6000 } = {}) {
+    const toast = document.getElementById('toast');
+    const action = document.getElementById('toast-action');
+    
+    document.getElementById('toast-message').textContent = message;
+    action.textContent = actionLabel || '';
+    action.classList.toggle('hidden', !actionLabel);
+    action.onclick = () => {
+        toast.classList.add('hidden');
+        if (onAction) onAction();
+    };
+    
+    toast.classList.remove('hidden');
+    clearTimeout(toast.hideTimer);
+    toast.hideTimer = setTimeout(() => toast.classList.add('hidden'), duration);
+}
+
 function showTestBanner(message) {
     const banner = document.getElementById('test-banner');
     const messageEl = document.getElementById('test-message');
@@ -873,14 +6598,28 @@ function showTestBanner(message) {
 // ========================================
 
 async function initApp() {
+    // Auth can report success both through its callback and through init()
+    if (appStarted) return;
+    appStarted = true;
+    
     console.log('User authenticated, initializing app...');
     
     try {
         await initDB();
+        await claimLegacyDatabase();
         loadSettings();
+        await loadConflicts();
+        loadTagFiltersFromUrl();
+        await loadFolders();
+        await loadTemplates();
+        await loadTags();
         await loadNotes();
+        await loadFavicons();
         await loadTools();
-        setupAutosave();
+        startUsageTracking();
+        await loadSearchIndex();
+        await purgeExpiredTrash();
+        loadEditorTabs();
         
         // Update UI with user info
         window.authModule.updateUserUI();
@@ -896,9 +6635,15 @@ async function initApp() {
         
         // Settings
         document.getElementById('settings-btn').addEventListener('click', () => {
+            renderJournalTemplateSetting();
             document.getElementById('settings-modal').classList.add('active');
         });
         
+        document.getElementById('journal-template').addEventListener('change', (e) => {
+            state.settings.journalTemplateId = e.target.value;
+            saveSettings();
+        });
+        
         document.querySelectorAll('.close-modal').forEach(btn => {
             btn.addEventListener('click', () => {
                 btn.closest('.modal').classList.remove('active');
@@ -911,10 +6656,33 @@ async function initApp() {
             setupAutosave();
         });
         
+        document.getElementById('link-check-interval').addEventListener('change', (e) => {
+            state.settings.linkCheckInterval = e.target.value;
+            saveSettings();
+            scheduleLinkChecks();
+        });
+        
+        document.getElementById('trash-retention').addEventListener('change', async (e) => {
+            state.settings.trashRetentionDays = e.target.value;
+            saveSettings();
+            await purgeExpiredTrash();
+        });
+        
+        // Trash
+        document.getElementById('trash-btn').addEventListener('click', showTrashModal);
+        document.getElementById('empty-trash-btn').addEventListener('click', emptyTrash);
+        
+        // Tags
+        document.getElementById('tags-btn').addEventListener('click', showTagManager);
+        
+        // Sync
+        document.getElementById('sync-status').addEventListener('click', () => window.syncModule.syncNow());
+        
         // Import/Export
         document.getElementById('export-btn').addEventListener('click', exportData);
         document.getElementById('import-btn').addEventListener('click', importData);
         document.getElementById('import-file-input').addEventListener('change', handleImportFile);
+        document.getElementById('export-bookmarks-btn').addEventListener('click', exportBookmarks);
         
         // Tag filter
         document.getElementById('clear-tag-filter').addEventListener('click', clearTagFilter);
@@ -933,23 +6701,107 @@ async function initApp() {
         });
         
         document.getElementById('notes-search').addEventListener('input', renderNotesList);
-        document.getElementById('notes-sort').addEventListener('change', renderNotesList);
+        document.getElementById('notes-sort').addEventListener('change', (e) => {
+            const folder = getFolder(state.activeFolderId);
+            if (folder) {
+                folder.sortBy = e.target.value;
+                saveFolder(folder);
+            }
+            renderNotesList();
+        });
+        
+        // Journal
+        document.getElementById('today-note-btn').addEventListener('click', () => openDailyNote());
+        document.getElementById('calendar-prev-btn').addEventListener('click', () => shiftCalendarMonth(-1));
+        document.getElementById('calendar-next-btn').addEventListener('click', () => shiftCalendarMonth(1));
         
-        document.getElementById('note-title').addEventListener('input', () => {
-            state.isDirty = true;
-            updateSaveStatus('Unsaved changes');
+        // Templates
+        templateTagInput = createTagInput(document.getElementById('template-tags'), { testId: 'template-tags' });
+        document.getElementById('new-from-template-btn').addEventListener('click', showTemplatePicker);
+        document.getElementById('manage-templates-btn').addEventListener('click', () => showTemplateEditor());
+        document.getElementById('template-editor-select').addEventListener('change', (e) => {
+            editingTemplateId = e.target.value;
+            renderTemplateEditor();
         });
+        document.getElementById('add-template-btn').addEventListener('click', addTemplateFromEditor);
+        document.getElementById('save-template-btn').addEventListener('click', saveTemplateFromEditor);
+        document.getElementById('delete-template-btn').addEventListener('click', deleteTemplateFromEditor);
+        
+        // Folders
+        document.getElementById('new-folder-btn').addEventListener('click', () => addFolder(state.activeFolderId));
+        document.getElementById('notes-view-filter').addEventListener('change', renderNotesList);
+        document.getElementById('search-include-archived').addEventListener('change', renderNotesList);
+        
+        // Bulk actions
+        document.getElementById('select-notes-btn').addEventListener('click', () => {
+            setSelectingNotes(!state.selectingNotes);
+        });
+        document.getElementById('bulk-archive-btn').addEventListener('click', () => {
+            setNotesArchived([...state.selectedNoteIds], true);
+        });
+        document.getElementById('bulk-unarchive-btn').addEventListener('click', () => {
+            setNotesArchived([...state.selectedNoteIds], false);
+        });
+        document.getElementById('bulk-cancel-btn').addEventListener('click', () => setSelectingNotes(false));
+        
+        document.getElementById('note-title').addEventListener('input', markCurrentNoteDirty);
         
         document.getElementById('note-content').addEventListener('input', () => {
-            state.isDirty = true;
-            updateSaveStatus('Unsaved changes');
+            markCurrentNoteDirty();
+            if (state.settings.editorMode !== 'edit') {
+                renderNotePreview();
+            }
+            updateWikiSuggestions();
+        });
+        
+        // Linked tools
+        document.getElementById('link-tool-select').addEventListener('change', (e) => {
+            linkToolToNote(e.target.value);
+        });
+        
+        // Wiki links
+        document.getElementById('note-content').addEventListener('keydown', handleWikiSuggestionKeys);
+        document.getElementById('note-content').addEventListener('blur', hideWikiSuggestions);
+        
+        document.getElementById('note-preview').addEventListener('change', (e) => {
+            if (e.target.classList.contains('task-checkbox') && state.currentNote) {
+                toggleTask(state.currentNote, Number(e.target.dataset.line));
+            }
+        });
+        
+        document.getElementById('note-preview').addEventListener('click', (e) => {
+            const link = e.target.closest('.wiki-link');
+            if (!link) return;
+            e.preventDefault();
+            openWikiLink(link.dataset.noteTitle);
+        });
+        
+        // Renames are applied to links once the title field is left, not on
+        // every autosave of a half-typed title
+        document.getElementById('note-title').addEventListener('focus', () => {
+            titleBeforeEdit = state.currentNote ? state.currentNote.title : null;
+        });
+        
+        document.getElementById('note-title').addEventListener('change', async () => {
+            const note = state.currentNote;
+            if (!note) return;
+            
+            const oldTitle = titleBeforeEdit;
+            await saveCurrentNote();
+            titleBeforeEdit = note.title;
+            await renameWikiLinks(note.id, oldTitle, note.title);
         });
         
-        document.getElementById('note-tags').addEventListener('input', () => {
-            state.isDirty = true;
-            updateSaveStatus('Unsaved changes');
+        document.querySelectorAll('.mode-btn').forEach(btn => {
+            btn.addEventListener('click', () => setEditorMode(btn.dataset.mode));
         });
         
+        noteTagInput = createTagInput(document.getElementById('note-tags'), {
+            testId: 'note-tags',
+            onChange: markCurrentNoteDirty
+        });
+        toolTagInput = createTagInput(document.getElementById('tool-tags'), { testId: 'tool-tags' });
+        
         document.getElementById('pin-note-btn').addEventListener('click', () => {
             if (state.currentNote) {
                 state.currentNote.pinned = !state.currentNote.pinned;
@@ -958,6 +6810,27 @@ async function initApp() {
             }
         });
         
+        // Editor tabs
+        document.getElementById('split-view-btn').addEventListener('click', toggleSplitView);
+        document.getElementById('close-split-btn').addEventListener('click', toggleSplitView);
+        document.getElementById('split-note-select').addEventListener('change', (e) => showNoteBeside(e.target.value));
+        document.getElementById('split-note-title').addEventListener('input', updateSplitDraft);
+        document.getElementById('split-note-content').addEventListener('input', updateSplitDraft);
+        
+        // Reminders
+        document.getElementById('reminder-note-btn').addEventListener('click', () => {
+            document.getElementById('reminder-panel').classList.toggle('hidden');
+        });
+        document.getElementById('note-due-at').addEventListener('change', (e) => {
+            setNoteSchedule({ dueAt: fromDateTimeLocal(e.target.value) });
+        });
+        document.getElementById('note-remind-at').addEventListener('change', (e) => {
+            setNoteSchedule({ remindAt: fromDateTimeLocal(e.target.value) });
+        });
+        document.getElementById('clear-reminder-btn').addEventListener('click', () => {
+            setNoteSchedule({ dueAt: null, remindAt: null });
+        });
+        
         document.getElementById('archive-note-btn').addEventListener('click', () => {
             if (state.currentNote) {
                 state.currentNote.archived = !state.currentNote.archived;
@@ -972,14 +6845,36 @@ async function initApp() {
             }
         });
         
+        // Version history
+        document.getElementById('history-note-btn').addEventListener('click', () => {
+            if (document.getElementById('history-panel').classList.contains('hidden')) {
+                showHistoryPanel();
+            } else {
+                hideHistoryPanel();
+            }
+        });
+        document.getElementById('close-history-btn').addEventListener('click', hideHistoryPanel);
+        document.getElementById('restore-version-btn').addEventListener('click', (e) => {
+            restoreNoteVersion(e.target.dataset.versionId);
+        });
+        
+        // Conflicts
+        document.getElementById('open-conflict-btn').addEventListener('click', openConflictView);
+        document.getElementById('cancel-conflict-btn').addEventListener('click', hideConflictView);
+        document.getElementById('resolve-mine-btn').addEventListener('click', () => resolveConflict(state.currentNote.id, 'mine'));
+        document.getElementById('resolve-theirs-btn').addEventListener('click', () => resolveConflict(state.currentNote.id, 'theirs'));
+        document.getElementById('resolve-merged-btn').addEventListener('click', resolveNoteConflictWithMerge);
+        document.getElementById('tool-resolve-mine-btn').addEventListener('click', () => resolveToolConflict('mine'));
+        document.getElementById('tool-resolve-theirs-btn').addEventListener('click', () => resolveToolConflict('theirs'));
+        
         // Ctrl/Cmd+S to save
         document.addEventListener('keydown', (e) => {
             if ((e.ctrlKey || e.metaKey) && e.key === 's') {
                 e.preventDefault();
-                if (state.currentNote && state.isDirty) {
+                if (isCurrentNoteDirty()) {
                     updateSaveStatus('Saving...');
-                    saveCurrentNote();
                 }
+                saveDirtyTabs();
             }
         });
         
@@ -987,7 +6882,11 @@ async function initApp() {
         document.getElementById('new-tool-btn').addEventListener('click', () => showToolModal());
         document.getElementById('tools-search').addEventListener('input', renderToolsGrid);
         document.getElementById('tools-sort').addEventListener('change', renderToolsGrid);
+        document.getElementById('tools-view-filter').addEventListener('change', renderToolsGrid);
+        document.getElementById('check-links-btn').addEventListener('click', () => checkLinksNow());
         
+        document.getElementById('tool-url').addEventListener('change', autofillToolFromUrl);
+        document.getElementById('usage-dashboard-btn').addEventListener('click', showUsageDashboard);
         document.getElementById('save-tool-btn').addEventListener('click', saveToolFromModal);
         document.getElementById('cancel-tool-btn').addEventListener('click', hideToolModal);
         
@@ -1000,11 +6899,19 @@ async function initApp() {
             });
         });
         
-        console.log('✅ App initialized successfully');
-        
-        // Run smoke tests after init
+        // Smoke tests run before anything starts in the background, so no
+        // scheduled link check, other window or sync sees the test records
         await runSmokeTests();
         
+        initWindowChannel();
+        setupAutosave();
+        scheduleLinkChecks();
+        scheduleTrashPurge();
+        fetchMissingFavicons();
+        window.syncModule.initSync(syncAdapter);
+        
+        console.log('✅ App initialized successfully');
+        
     } catch (error) {
         console.error('❌ Initialization failed:', error);
     }
@@ -1023,8 +6930,10 @@ async function init() {
         return;
     }
     
-    // Set up callback for when auth completes
+    // Set up callbacks for when auth completes and around logout
     window.appInitialized = initApp;
+    window.appBeforeLogout = handleLogout;
+    window.appAfterLogout = handleLoggedOut;
     
     // Initialize authentication
     await window.authModule.initAuth();
@@ -63,8 +63,14 @@ async function getCurrentUser() {
     }
 }
 
-async function logoutUser() {
+async function logoutUser({ wipeLocalData = false } = {}) {
     try {
+        // Let the app flush pending changes while the session is still valid
+        if (window.appBeforeLogout) {
+            const proceed = await window.appBeforeLogout({ wipeLocalData });
+            if (proceed === false) return;
+        }
+        
         const response = await fetch(`${AUTH_CONFIG.apiUrl}/auth/logout`, {
             method: 'POST',
             credentials: 'include'
@@ -74,19 +80,49 @@ async function logoutUser() {
             throw new Error('Logout failed');
         }
         
+        // Only now close (or delete) the user's database; if the request
+        // failed the user is still signed in and the app keeps working
+        if (window.appAfterLogout) {
+            await window.appAfterLogout({ wipeLocalData });
+        }
+        
+        if (wipeLocalData) {
+            clearUserStorage();
+        }
+        
         authState.user = null;
         authState.isAuthenticated = false;
         
-        // Clear local data
-        localStorage.clear();
-        
         // Redirect to login
         showLoginScreen();
     } catch (error) {
         console.error('Logout error:', error);
+        alert('Could not log out. Check your connection and try again.');
     }
 }
 
+// ========================================
+// Per-user Storage
+// ========================================
+
+function getUserId() {
+    if (!authState.user) return null;
+    return authState.user.user_id || authState.user.id || authState.user.email;
+}
+
+// Anything stored per account is keyed with the user id as a suffix so
+// several people can share one browser
+function userStorageKey(name) {
+    return `${name}:${getUserId()}`;
+}
+
+function clearUserStorage() {
+    const suffix = `:${getUserId()}`;
+    Object.keys(localStorage)
+        .filter(key => key.endsWith(suffix))
+        .forEach(key => localStorage.removeItem(key));
+}
+
 // ========================================
 // Auth Flow Functions
 // ========================================
@@ -262,14 +298,23 @@ function updateUserUI() {
             <button id="logout-btn" class="btn-secondary" data-testid="logout-btn">Logout</button>
         `;
         
-        // Insert before other buttons
-        headerActions.insertBefore(userInfo, headerActions.firstChild);
+        // Insert before other buttons, replacing the block from an earlier update
+        const existing = headerActions.querySelector('.user-info');
+        if (existing) {
+            existing.replaceWith(userInfo);
+        } else {
+            headerActions.insertBefore(userInfo, headerActions.firstChild);
+        }
         
         // Add logout handler
-        document.getElementById('logout-btn').addEventListener('click', logoutUser);
+        document.getElementById('logout-btn').addEventListener('click', showLogoutPrompt);
     }
 }
 
+function showLogoutPrompt() {
+    document.getElementById('logout-modal').classList.add('active');
+}
+
 // ========================================
 // Initialize Auth
 // ========================================
@@ -277,6 +322,10 @@ function updateUserUI() {
 async function initAuth() {
     console.log('🔐 Initializing authentication...');
     
+    // The logout modal is part of the page, so its buttons are bound once here
+    document.getElementById('logout-keep-btn').addEventListener('click', () => logoutUser({ wipeLocalData: false }));
+    document.getElementById('logout-wipe-btn').addEventListener('click', () => logoutUser({ wipeLocalData: true }));
+    
     // First priority: Check for session_id in URL
     const hasSessionId = await handleAuthCallback();
     
@@ -292,5 +341,7 @@ window.authModule = {
     redirectToGoogleAuth,
     logoutUser,
     authState,
-    updateUserUI
+    updateUserUI,
+    getUserId,
+    userStorageKey
 };
\ No newline at end of file
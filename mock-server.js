@@ -0,0 +1,414 @@
+// ========================================
+// Mock Backend for Local Testing
+// ========================================
+//
+// Serves the app and an in-memory stand-in for the /api backend so sync
+// can be exercised without the real server:
+//
+//     node mock-server.js [port]
+//
+// Then open http://localhost:3000 in two browsers (or one normal and one
+// private window) to watch changes flow between them. Data lives only as
+// long as the process. POST /api/__reset clears it.
+//
+// POST /api/links/check really fetches the URLs it is given. To try the
+// link checker offline, point tools at the stub targets this server also
+// serves: /api/__links/status/404 answers with that status code and
+// /api/__links/redirect?to=<url> answers with a 301 to <url>.
+//
+// GET /api/metadata?url=<url> fetches a page's title, description,
+// keywords and favicon for the tool form. /api/__links/page is a stub
+// page with all of those for trying it offline.
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = Number(process.argv[2] || process.env.PORT || 3000);
+const ROOT = __dirname;
+
+const MOCK_USER = {
+    user_id: process.env.MOCK_USER_ID || 'mock-user',
+    email: process.env.MOCK_USER_EMAIL || 'mock@example.com',
+    name: process.env.MOCK_USER_NAME || 'Mock User',
+    picture: null
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml',
+    '.json': 'application/json'
+};
+
+// ========================================
+// In-memory Stores
+// ========================================
+
+// Every accepted write gets the next sequence number; clients pull with
+// the last sequence they saw as an opaque cursor.
+let sequence = 0;
+let collections = {};
+
+function getCollection(name) {
+    if (!collections[name]) {
+        collections[name] = new Map();
+    }
+    return collections[name];
+}
+
+function resetStores() {
+    sequence = 0;
+    collections = {};
+}
+
+// An item is accepted only when it was based on the server's current rev
+// (its syncedRev); otherwise the server copy is returned as a conflict.
+// Deletes still go by last writer wins on updatedAt.
+function applyPush(name, items = [], deleted = []) {
+    const collection = getCollection(name);
+    const conflicts = [];
+
+    for (const item of items) {
+        const existing = collection.get(item.id);
+        if (existing && existing.item && existing.item.rev !== item.syncedRev) {
+            conflicts.push(existing.item);
+            continue;
+        }
+
+        const { syncedRev, ...stored } = item;
+        collection.set(item.id, { item: stored, seq: ++sequence });
+    }
+
+    for (const tombstone of deleted) {
+        const existing = collection.get(tombstone.id);
+        if (existing && existing.item && new Date(existing.item.updatedAt) > new Date(tombstone.deletedAt)) continue;
+
+        collection.set(tombstone.id, { deletedAt: tombstone.deletedAt, seq: ++sequence });
+    }
+
+    return conflicts;
+}
+
+function readChanges(name, since) {
+    const after = Number(since) || 0;
+    const items = [];
+    const deleted = [];
+
+    for (const [id, entry] of getCollection(name)) {
+        if (entry.seq <= after) continue;
+
+        if (entry.item) {
+            items.push(entry.item);
+        } else {
+            deleted.push({ id, deletedAt: entry.deletedAt });
+        }
+    }
+
+    return { items, deleted, cursor: String(sequence) };
+}
+
+// ========================================
+// Link Checks
+// ========================================
+
+const LINK_CHECK_TIMEOUT_MS = 8000;
+
+function fetchWithoutRedirect(url, method) {
+    return fetch(url, { method, redirect: 'manual', signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+}
+
+// Redirects are not followed so the first hop's target can be reported.
+// Servers that refuse HEAD get a GET instead.
+async function checkLink(url) {
+    if (!/^https?:\/\//i.test(url)) {
+        return { url, status: null, redirectedTo: null, error: 'Not an http(s) URL' };
+    }
+
+    try {
+        let response = await fetchWithoutRedirect(url, 'HEAD');
+        if (response.status === 405 || response.status === 501) {
+            response = await fetchWithoutRedirect(url, 'GET');
+            if (response.body) response.body.cancel();
+        }
+
+        const location = response.headers.get('location');
+        return {
+            url,
+            status: response.status,
+            redirectedTo: location ? new URL(location, url).href : null,
+            error: null
+        };
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? 'Timed out' : (error.cause && error.cause.code) || 'Unreachable';
+        return { url, status: null, redirectedTo: null, error: reason };
+    }
+}
+
+function handleLinkStub(res, route, url) {
+    if (route === '__links/page') {
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.html'] });
+        return res.end(STUB_PAGE);
+    }
+
+    if (route === '__links/icon.svg') {
+        res.writeHead(200, { 'Content-Type': MIME_TYPES['.svg'] });
+        return res.end(STUB_ICON);
+    }
+
+    const statusMatch = route.match(/^__links\/status\/(\d{3})$/);
+    if (statusMatch) {
+        res.writeHead(Number(statusMatch[1]));
+        return res.end();
+    }
+
+    res.writeHead(301, { Location: url.searchParams.get('to') || '/' });
+    res.end();
+}
+
+// ========================================
+// Page Metadata
+// ========================================
+
+const METADATA_MAX_BYTES = 512 * 1024;
+const FAVICON_MAX_BYTES = 64 * 1024;
+
+const STUB_PAGE = `<!DOCTYPE html>
+<html>
+<head>
+    <title>Stub Page &amp; Friends</title>
+    <meta name="description" content="A page served by the mock backend for trying metadata auto-fill.">
+    <meta name="keywords" content="testing, mock">
+    <link rel="icon" href="/api/__links/icon.svg">
+</head>
+<body></body>
+</html>`;
+
+const STUB_ICON = '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 16 16"><circle cx="8" cy="8" r="7" fill="#6366f1"/></svg>';
+
+async function readLimited(response, maxBytes) {
+    const chunks = [];
+    let size = 0;
+
+    for await (const chunk of response.body) {
+        chunks.push(chunk);
+        size += chunk.length;
+        if (size >= maxBytes) break;
+    }
+
+    return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// A numeric entity past the last code point is left as written rather
+// than failing the whole page
+function decodeCodePoint(entity, code) {
+    return code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+}
+
+function decodeEntities(text) {
+    const named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+    return text
+        .replace(/&#(\d+);/g, (entity, code) => decodeCodePoint(entity, Number(code)))
+        .replace(/&#x([0-9a-f]+);/gi, (entity, code) => decodeCodePoint(entity, parseInt(code, 16)))
+        .replace(/&(\w+);/g, (entity, name) => named[name.toLowerCase()] ?? entity)
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+function getAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'));
+    return match ? decodeEntities(match[1] ?? match[2] ?? match[3]) : null;
+}
+
+// Regexes rather than a parser: only the <head> matters and a page that
+// fools them just means a field the user fills in by hand
+function findMeta(html, names) {
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+        const key = (getAttribute(tag, 'name') || getAttribute(tag, 'property') || '').toLowerCase();
+        if (names.includes(key)) {
+            const content = getAttribute(tag, 'content');
+            if (content) return content;
+        }
+    }
+    return null;
+}
+
+function findIconHref(html) {
+    const icons = (html.match(/<link\b[^>]*>/gi) || [])
+        .filter(tag => /(^|\s)(shortcut\s+)?icon(\s|$)/i.test(getAttribute(tag, 'rel') || ''));
+    // Prefer an explicit small icon over apple-touch-icon and friends
+    const icon = icons.find(tag => /^(shortcut\s+)?icon$/i.test(getAttribute(tag, 'rel'))) || icons[0];
+    return icon ? getAttribute(icon, 'href') : null;
+}
+
+async function fetchFavicon(iconUrl) {
+    try {
+        const response = await fetch(iconUrl, { signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+        const type = (response.headers.get('content-type') || '').split(';')[0].trim();
+        if (!response.ok || !type.startsWith('image/')) return null;
+
+        const data = await readLimited(response, FAVICON_MAX_BYTES + 1);
+        if (data.length === 0 || data.length > FAVICON_MAX_BYTES) return null;
+
+        return `data:${type};base64,${data.toString('base64')}`;
+    } catch {
+        return null;
+    }
+}
+
+// The favicon comes back as a data URL so the app can keep it in
+// IndexedDB; a browser cannot read the bytes of a cross-origin image
+async function fetchPageMetadata(url) {
+    if (!/^https?:\/\//i.test(url)) {
+        return { url, error: 'Not an http(s) URL' };
+    }
+
+    try {
+        const response = await fetch(url, { signal: AbortSignal.timeout(LINK_CHECK_TIMEOUT_MS) });
+        if (!response.ok) {
+            if (response.body) response.body.cancel();
+            return { url, error: `HTTP ${response.status}` };
+        }
+
+        const isHtml = (response.headers.get('content-type') || '').includes('html');
+        const html = isHtml ? (await readLimited(response, METADATA_MAX_BYTES)).toString('utf8') : '';
+        if (!isHtml && response.body) response.body.cancel();
+
+        const titleMatch = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+        const keywords = findMeta(html, ['keywords']);
+        const iconHref = findIconHref(html) || '/favicon.ico';
+
+        return {
+            url,
+            title: findMeta(html, ['og:title']) || (titleMatch && decodeEntities(titleMatch[1])) || null,
+            description: findMeta(html, ['description', 'og:description']),
+            keywords: keywords ? keywords.split(',').map(k => k.trim()).filter(Boolean) : [],
+            favicon: await fetchFavicon(new URL(iconHref, response.url).href),
+            error: null
+        };
+    } catch (error) {
+        const reason = error.name === 'TimeoutError' ? 'Timed out' : (error.cause && error.cause.code) || 'Unreachable';
+        return { url, error: reason };
+    }
+}
+
+// ========================================
+// Request Handling
+// ========================================
+
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+async function handleApi(req, res, url) {
+    const route = url.pathname.replace(/^\/api\/?/, '');
+
+    if (route === 'auth/me') {
+        return sendJson(res, 200, MOCK_USER);
+    }
+
+    if (route === 'auth/session') {
+        return sendJson(res, 200, { success: true, user: MOCK_USER });
+    }
+
+    if (route === 'auth/logout') {
+        return sendJson(res, 200, { success: true });
+    }
+
+    if (route === '__reset' && req.method === 'POST') {
+        resetStores();
+        return sendJson(res, 200, { success: true });
+    }
+
+    if (route === 'links/check' && req.method === 'POST') {
+        const body = await readBody(req);
+        const urls = (body.urls || []).slice(0, 50);
+        return sendJson(res, 200, { results: await Promise.all(urls.map(checkLink)) });
+    }
+
+    if (route === 'metadata' && req.method === 'GET') {
+        return sendJson(res, 200, await fetchPageMetadata(url.searchParams.get('url') || ''));
+    }
+
+    if (route.startsWith('__links/')) {
+        return handleLinkStub(res, route, url);
+    }
+
+    const collectionMatch = route.match(/^(folders|templates|tags|notes|tools)$/);
+    if (collectionMatch) {
+        const name = collectionMatch[1];
+
+        if (req.method === 'GET') {
+            return sendJson(res, 200, readChanges(name, url.searchParams.get('since')));
+        }
+
+        if (req.method === 'POST') {
+            const body = await readBody(req);
+            const conflicts = applyPush(name, body.items, body.deleted);
+            return sendJson(res, 200, { cursor: String(sequence), conflicts });
+        }
+    }
+
+    return sendJson(res, 404, { error: 'Not found' });
+}
+
+function serveStatic(res, url) {
+    const relative = url.pathname === '/' ? 'index.html' : decodeURIComponent(url.pathname).slice(1);
+    const filePath = path.resolve(ROOT, relative);
+
+    if (!filePath.startsWith(ROOT + path.sep)) {
+        res.writeHead(403);
+        return res.end();
+    }
+
+    fs.readFile(filePath, (error, data) => {
+        if (error) {
+            res.writeHead(404);
+            return res.end('Not found');
+        }
+
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host}`);
+
+    try {
+        if (url.pathname.startsWith('/api/')) {
+            await handleApi(req, res, url);
+        } else {
+            serveStatic(res, url);
+        }
+    } catch (error) {
+        console.error('Mock server error:', error);
+        sendJson(res, 500, { error: error.message });
+    }
+});
+
+if (require.main === module) {
+    server.listen(PORT, () => {
+        console.log(`Mock backend running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { server, resetStores };
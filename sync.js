@@ -0,0 +1,321 @@
+// ========================================
+// Sync Module
+// ========================================
+
+const SYNC_CONFIG = {
+    stores: ['folders', 'templates', 'tags', 'notes', 'tools'],
+    intervalMs: 60000,
+    debounceMs: 2000,
+    stateKey: 'notepad_sync_state'
+};
+
+const syncState = {
+    status: 'idle',
+    lastSyncedAt: null,
+    lastError: null,
+    cursors: {},
+    adapter: null,
+    transport: null,
+    running: null,
+    pending: false,
+    intervalTimer: null,
+    debounceTimer: null
+};
+
+// ========================================
+// Transport
+// ========================================
+
+// Default transport talks to the /api backend. Tests can swap it for
+// another object with the same pull/push shape via setTransport().
+const httpTransport = {
+    async pull(storeName, cursor) {
+        const query = cursor ? `?since=${encodeURIComponent(cursor)}` : '';
+        const response = await fetch(`${AUTH_CONFIG.apiUrl}/${storeName}${query}`, {
+            credentials: 'include'
+        });
+
+        if (!response.ok) {
+            throw new Error(`Pull ${storeName} failed (${response.status})`);
+        }
+
+        return response.json();
+    },
+
+    async push(storeName, items, deleted) {
+        const response = await fetch(`${AUTH_CONFIG.apiUrl}/${storeName}`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            credentials: 'include',
+            body: JSON.stringify({ items, deleted })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Push ${storeName} failed (${response.status})`);
+        }
+
+        return response.json();
+    }
+};
+
+// ========================================
+// Sync State Persistence
+// ========================================
+
+function loadSyncState() {
+    syncState.cursors = {};
+    syncState.lastSyncedAt = null;
+
+    const saved = localStorage.getItem(window.authModule.userStorageKey(SYNC_CONFIG.stateKey));
+    if (saved) {
+        const parsed = JSON.parse(saved);
+        syncState.cursors = parsed.cursors || {};
+        syncState.lastSyncedAt = parsed.lastSyncedAt || null;
+    }
+}
+
+function saveSyncState() {
+    localStorage.setItem(window.authModule.userStorageKey(SYNC_CONFIG.stateKey), JSON.stringify({
+        cursors: syncState.cursors,
+        lastSyncedAt: syncState.lastSyncedAt
+    }));
+}
+
+// Every local save bumps a record's rev; syncedRev is the last rev the
+// server confirmed. A record has local changes while the two differ.
+function isDirty(record) {
+    return record.rev !== record.syncedRev;
+}
+
+// Records that arrive from the server are by definition at a confirmed rev
+function asSynced(remote) {
+    return { ...remote, syncedRev: remote.rev };
+}
+
+// ========================================
+// Sync Engine
+// ========================================
+
+async function pushStore(storeName) {
+    const { adapter, transport } = syncState;
+    const records = await adapter.getAll(storeName);
+    const conflictIds = await adapter.getConflictIds(storeName);
+    // Records with an unresolved conflict stay local until the user decides
+    const items = records.filter(record => isDirty(record) && !conflictIds.includes(record.id));
+    const deleted = await adapter.getTombstones(storeName);
+
+    if (items.length === 0 && deleted.length === 0) return;
+
+    // The server rejects items whose syncedRev is no longer its current rev
+    // and sends back its own copy instead
+    const result = await transport.push(storeName, items, deleted.map(t => ({ id: t.id, deletedAt: t.deletedAt })));
+    const rejected = (result && result.conflicts) || [];
+
+    for (const remote of rejected) {
+        await adapter.recordConflict(storeName, asSynced(remote), 'sync');
+    }
+
+    for (const item of items) {
+        if (rejected.some(remote => remote.id === item.id)) continue;
+        await adapter.markSynced(storeName, item.id, item.rev);
+    }
+    await adapter.clearTombstones(deleted.map(t => t.id));
+}
+
+async function pullStore(storeName) {
+    const { adapter, transport } = syncState;
+    const result = await transport.pull(storeName, syncState.cursors[storeName]);
+    const updated = [];
+    const removedIds = [];
+
+    for (const remote of result.items || []) {
+        const record = asSynced(remote);
+        const local = await adapter.get(storeName, remote.id);
+        const outcome = local ? adapter.compareRevisions(local, record) : 'incoming';
+
+        if (outcome === 'conflict') {
+            await adapter.recordConflict(storeName, record, 'sync');
+            continue;
+        }
+
+        if (outcome === 'local') continue;
+
+        // Our own push coming back; nothing to apply
+        if (outcome === 'same' && local.rev === record.rev && !isDirty(local)) continue;
+
+        await adapter.put(storeName, record);
+        updated.push(record);
+    }
+
+    for (const tombstone of result.deleted || []) {
+        const local = await adapter.get(storeName, tombstone.id);
+        if (!local) continue;
+
+        // Keep local edits made after the remote delete
+        if (isDirty(local) && new Date(local.updatedAt) > new Date(tombstone.deletedAt)) continue;
+
+        await adapter.remove(storeName, tombstone.id);
+        removedIds.push(tombstone.id);
+    }
+
+    if (result.cursor) {
+        syncState.cursors[storeName] = result.cursor;
+    }
+
+    if (updated.length > 0 || removedIds.length > 0) {
+        adapter.onRemoteChanges(storeName, updated, removedIds);
+    }
+}
+
+async function runSync() {
+    if (!navigator.onLine) {
+        setSyncStatus('offline');
+        return;
+    }
+
+    setSyncStatus('syncing');
+
+    try {
+        for (const storeName of SYNC_CONFIG.stores) {
+            await pushStore(storeName);
+            await pullStore(storeName);
+        }
+
+        syncState.lastSyncedAt = new Date().toISOString();
+        syncState.lastError = null;
+        saveSyncState();
+        setSyncStatus('synced');
+    } catch (error) {
+        console.error('Sync error:', error);
+        syncState.lastError = error.message;
+        // A failed fetch means the backend is unreachable; retry on the next tick
+        setSyncStatus(error instanceof TypeError ? 'offline' : 'error');
+    }
+}
+
+// Runs a sync, coalescing requests that arrive while one is in flight
+async function syncNow() {
+    if (!syncState.adapter) return;
+
+    if (syncState.running) {
+        syncState.pending = true;
+        return syncState.running;
+    }
+
+    syncState.running = runSync();
+    await syncState.running;
+    syncState.running = null;
+
+    if (syncState.pending) {
+        syncState.pending = false;
+        await syncNow();
+    }
+}
+
+// Local changes the server has not confirmed yet
+async function countPendingChanges() {
+    const { adapter } = syncState;
+    if (!adapter) return 0;
+
+    let count = 0;
+    for (const storeName of SYNC_CONFIG.stores) {
+        const records = await adapter.getAll(storeName);
+        const tombstones = await adapter.getTombstones(storeName);
+        count += records.filter(isDirty).length + tombstones.length;
+    }
+    return count;
+}
+
+function scheduleSync() {
+    if (!syncState.adapter) return;
+
+    clearTimeout(syncState.debounceTimer);
+    syncState.debounceTimer = setTimeout(syncNow, SYNC_CONFIG.debounceMs);
+}
+
+// ========================================
+// Status UI
+// ========================================
+
+function setSyncStatus(status) {
+    syncState.status = status;
+
+    const statusEl = document.getElementById('sync-status');
+    if (!statusEl) return;
+
+    const labels = {
+        idle: '☁️ Not synced',
+        syncing: '🔄 Syncing...',
+        synced: '☁️ Synced',
+        offline: '📴 Offline',
+        error: '⚠️ Sync error'
+    };
+
+    statusEl.textContent = labels[status] || status;
+    statusEl.dataset.status = status;
+    statusEl.title = status === 'error' && syncState.lastError
+        ? syncState.lastError
+        : syncState.lastSyncedAt
+            ? `Last synced: ${new Date(syncState.lastSyncedAt).toLocaleString()}`
+            : 'Click to sync now';
+}
+
+// ========================================
+// Initialize Sync
+// ========================================
+
+function handleOnline() {
+    syncNow();
+}
+
+function handleOffline() {
+    setSyncStatus('offline');
+}
+
+function initSync(adapter, transport = httpTransport) {
+    if (syncState.adapter) {
+        stopSync();
+    }
+
+    syncState.adapter = adapter;
+    syncState.transport = transport;
+    loadSyncState();
+    setSyncStatus(navigator.onLine ? 'idle' : 'offline');
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    syncState.intervalTimer = setInterval(syncNow, SYNC_CONFIG.intervalMs);
+
+    return syncNow();
+}
+
+function stopSync() {
+    clearInterval(syncState.intervalTimer);
+    clearTimeout(syncState.debounceTimer);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+    syncState.adapter = null;
+    syncState.intervalTimer = null;
+    syncState.debounceTimer = null;
+}
+
+function setTransport(transport) {
+    syncState.transport = transport;
+}
+
+// Export functions
+window.syncModule = {
+    initSync,
+    stopSync,
+    syncNow,
+    scheduleSync,
+    countPendingChanges,
+    pushStore,
+    pullStore,
+    setTransport,
+    httpTransport,
+    syncState
+};